@@ -0,0 +1,116 @@
+// Fires a single shot through the headless ballistics engine and prints the result.
+// Usage: node scripts/simulate.js [--engine trebuchet] [--projectile iron] [--tension 4000] [--angle 45] [--wind 0] [--targetMotion linear]
+//   [--targetStructure wall] [--battlefield 7 --relief 20 --obstacles 1] [--clock 12.5] [--seed 123] ...
+// The shot is stepped the way the app steps it: into the battlefield generated from its seed, with the target's
+// structure standing intact where the target is at each step, and then rolled out. --seed draws the shot's gust
+// the way the app does and --clock is the scenario time it was fired at, so a logged shot's specs, seed and clock reproduce it exactly.
+import { createShot, stepShot, createRollout, stepRollout, impactError, sampleGust, DEFAULT_SPECS, DEFAULT_DT, MAX_STEPS } from "../src/ballistics.js";
+import { createRng } from "../src/random.js";
+import { PROJECTILES, withProjectile } from "../src/projectiles.js";
+import { ENGINES, withEngine } from "../src/engines/index.js";
+import { FLAT_WORLD, createTerrain, placeObstacles } from "../src/terrain.js";
+import { STRUCTURES, createStructure, structureFrame, withStructure, damageStructure, integrity, formatEnergy } from "../src/structures.js";
+
+let specs = { ...DEFAULT_SPECS };
+let seed = null;
+const battlefield = { seed: null, relief: 0, obstacles: false };
+let clock = 0;
+
+const args = process.argv.slice(2);
+for (let i = 0; i < args.length; i += 2) {
+  const key = args[i].replace(/^--/, "");
+  if (key === "engine") {
+    if (!(args[i + 1] in ENGINES)) {
+      console.error(`Unknown engine "${args[i + 1]}". Known: ${Object.keys(ENGINES).join(", ")}`);
+      process.exit(1);
+    }
+    specs = withEngine(specs, args[i + 1]);
+    continue;
+  }
+  if (key === "seed") {
+    seed = parseInt(args[i + 1], 10);
+    continue;
+  }
+  if (key === "battlefield") {
+    battlefield.seed = parseInt(args[i + 1], 10);
+    continue;
+  }
+  if (key === "relief") {
+    battlefield.relief = parseFloat(args[i + 1]);
+    continue;
+  }
+  if (key === "obstacles") {
+    battlefield.obstacles = !["0", "false", "off"].includes(args[i + 1]);
+    continue;
+  }
+  if (key === "clock") {
+    clock = parseFloat(args[i + 1]);
+    continue;
+  }
+  if (key === "projectile") {
+    if (!(args[i + 1] in PROJECTILES)) {
+      console.error(`Unknown projectile "${args[i + 1]}". Known: ${Object.keys(PROJECTILES).join(", ")}`);
+      process.exit(1);
+    }
+    specs = withProjectile(specs, args[i + 1]);
+    continue;
+  }
+  if (!(key in specs)) {
+    console.error(`Unknown spec "${key}". Known: ${Object.keys(specs).join(", ")}`);
+    process.exit(1);
+  }
+  specs[key] = typeof DEFAULT_SPECS[key] === "string" ? args[i + 1] : parseFloat(args[i + 1]);
+}
+
+if (!(specs.targetStructure in STRUCTURES)) {
+  console.error(`Unknown structure "${specs.targetStructure}". Known: ${Object.keys(STRUCTURES).join(", ")}`);
+  process.exit(1);
+}
+if ((battlefield.relief > 0 || battlefield.obstacles) && battlefield.seed === null) {
+  console.error("--relief and --obstacles need the --battlefield seed");
+  process.exit(1);
+}
+
+// The battlefield as the app builds it; heightmap images cannot be loaded here
+const terrain = battlefield.relief > 0 ? createTerrain(battlefield.seed, battlefield.relief) : null;
+const world = battlefield.seed === null ? FLAT_WORLD : { terrain, obstacles: battlefield.obstacles ? placeObstacles(specs, terrain, battlefield.seed) : [] };
+let structure = createStructure(specs.targetStructure);
+// What the shot meets on its `tick`-th step after firing, timed on the app's scenario clock
+const fireTick = Math.round(clock / DEFAULT_DT);
+const worldAt = (tick) => withStructure(world, structure, specs, (fireTick + tick) * DEFAULT_DT);
+
+const fired = seed === null ? specs : sampleGust(specs, createRng(seed));
+const shot = createShot(fired);
+let tick = 0, apex = null;
+for (let flight = 0; shot.phase !== "IMPACT" && flight <= MAX_STEPS; tick++) {
+  stepShot(shot, fired, DEFAULT_DT, worldAt(tick));
+  if (shot.phase === "SWING") continue;
+  flight++;
+  if (!apex || shot.pos.y > apex.y) apex = { ...shot.pos };
+}
+const fmt = (n) => n.toFixed(2);
+
+if (shot.phase !== "IMPACT") {
+  console.log("No impact within the simulation step limit.");
+  process.exit(1);
+}
+const impact = shot.pos, { flightTime, releaseTime } = shot;
+console.log(`impact   x=${fmt(impact.x)} m  z=${fmt(impact.z)} m${shot.struck ? `, on the ${shot.struck.kind === "target" ? STRUCTURES[structure.kind].name.toLowerCase() : shot.struck.kind}` : ""}`);
+// Measured against where a moving target is at impact, with its clock started when the arm is tripped
+const err = impactError(impact, specs, fireTick * DEFAULT_DT + releaseTime + flightTime);
+console.log(`error    range ${fmt(err.range)} m  lateral ${fmt(err.lateral)} m`);
+console.log(`flight   ${fmt(flightTime)} s, released ${fmt(releaseTime)} s after firing`);
+if (fired !== specs) console.log(`gust     wind ${fmt(fired.wind)} m/s towards ${fmt(fired.windHeading)}°`);
+console.log(`apex     ${fmt(apex.y)} m at x=${fmt(apex.x)} m`);
+
+// The impact is dealt to the structure on the step it lands, and the shot rolls on from there
+const t = (fireTick + tick - 1) * DEFAULT_DT;
+if (structure.blocks.length) {
+  const energy = 0.5 * fired.projMass * (shot.vel.x ** 2 + shot.vel.y ** 2 + shot.vel.z ** 2);
+  const hit = damageStructure(structure, impact, energy, structureFrame(specs, t, world), shot.struck?.kind === "target" ? shot.struck.block : null);
+  structure = hit.structure;
+  console.log(`damage   ${formatEnergy(hit.dealt)}, ${STRUCTURES[structure.kind].name.toLowerCase()} at ${(integrity(structure) * 100).toFixed(0)}%`);
+}
+const rollout = createRollout(shot, worldAt(tick - 1));
+while (rollout && !rollout.resting) stepRollout(rollout, DEFAULT_DT, worldAt(tick++));
+if (rollout) console.log(`rest     x=${fmt(rollout.pos.x)} m  z=${fmt(rollout.pos.z)} m after ${fmt(rollout.time)} s${rollout.struck ? `, against the ${rollout.struck.kind === "target" ? STRUCTURES[structure.kind].name.toLowerCase() : rollout.struck.kind}` : ""}`);
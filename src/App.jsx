@@ -1,14 +1,45 @@
-import React, { useState, useEffect, useRef } from "react";
+import React, { useState, useEffect, useRef, useMemo } from "react";
 import { 
   Crosshair, Wrench, RefreshCw, Zap, 
   Target, Wind, Activity, Maximize, 
   Play, RotateCcw, ChevronRight, ChevronLeft,
   Cpu, ShieldCheck, Ruler, Scale, Eye, AlertTriangle,
   MousePointer2, ClipboardList, Trash2, CheckCircle2,
-  Lock, Ban
+  Lock, Ban, Mountain, Castle, Upload, X, Timer, Pause, Hammer, Video, Keyboard
 } from "lucide-react";
+import MissionCampaign from "./components/MissionCampaign.jsx";
+import FlightLogPanel from "./components/FlightLogPanel.jsx";
+import ReplayControls from "./components/ReplayControls.jsx";
+import FireCountdown from "./components/FireCountdown.jsx";
+import PresetPanel from "./components/PresetPanel.jsx";
+import DispersionPlot from "./components/DispersionPlot.jsx";
+import DuelPanel from "./components/DuelPanel.jsx";
+import DuelLog from "./components/DuelLog.jsx";
+import { createLogEntry, loadLogs, saveLogs, mergeLogs } from "./flightLog.js";
+import { DEFAULT_VARIATION, DISPERSION_SHOTS } from "./dispersion.js";
+import { distinctArcs } from "./solver.js";
+import { createPreset, applyPreset, loadPresets, savePresets, mergePresets, encodeScenario, decodeScenario } from "./presets.js";
+import { packPoint, duration, sampleAt, pathUntil, stepTime, overlayColor } from "./trajectory.js";
+import { startDuel, recordDuelShot, duelSpecs, controlsOf, aimError, aiRng, activeSide, isAiTurn } from "./duel.js";
+import { startRun, recordImpact, currentTarget, targetSpecs, summarizeRun, scoreImpact, loadProgress, saveProgress, MISSIONS } from "./missions.js";
+import { ENGINES, engineFor, withEngine, formatPower } from "./engines/index.js";
+import { buildEngineModel } from "./engineModels.js";
+import { createCameraDirector, CAMERA_MODES, isPlotMode, nextCameraMode } from "./cameraDirector.js";
+import { airDensity } from "./atmosphere.js";
+import { PROJECTILES, matchProjectile, withProjectile } from "./projectiles.js";
+import { createRng, randomSeed } from "./random.js";
+import { MOTIONS, isMoving, pathOffset } from "./motion.js";
+import { createTerrain, terrainFromImage, placeObstacles, groundHeight, TERRAIN_SIZE, TERRAIN_CENTER, TERRAIN_RESOLUTION } from "./terrain.js";
+import { simulate, createShot, stepShot, createRollout, stepRollout, sampleGust, gustEnvelope, impactError, targetPosition, DEFAULT_SPECS, DEFAULT_DT, INTEGRATORS } from "./ballistics.js";
+import { STRUCTURES, createStructure, structureFrame, withStructure, damageStructure, integrity, isDestroyed, scatterDebris, stepDebris, formatEnergy } from "./structures.js";
 
 // --- Configuration ---
+const FIRE_LEAD = 3; // s, earliest intercept firing time after a solve request: time to compute and apply it
+const MAX_FRAME = 0.25; // s, longest real frame time the physics catches up on (e.g. after a hidden tab)
+const TRAIL_EVERY = 3; // flight steps between trail points
+const TIME_SCALES = [0.25, 0.5, 1, 2, 4];
+const AI_DELAY = 1200; // ms the AI commander takes over its aim once it has a solution
+const DUEL_REARM = 3000; // ms after an impact before a duel hands over to the other side
 const COLORS = {
   bg: 0x0b1121,
   grid: 0x1e293b,
@@ -37,145 +68,332 @@ export default function CatapultCommanderV24() {
   const [cameraMode, setCameraMode] = useState("FREE");
   const [solverState, setSolverState] = useState("IDLE");
   const [bootStatus, setBootStatus] = useState("BOOTING");
-  const [flightLogs, setFlightLogs] = useState([]); 
+  const [flightLogs, setFlightLogs] = useState(loadLogs); 
   const [autoCorrected, setAutoCorrected] = useState(false);
+  const [run, setRun] = useState(null);
+  const [duel, setDuel] = useState(null);
+  const [cleared, setCleared] = useState(loadProgress);
+  const [replayId, setReplayId] = useState(null);
+  const [overlayIds, setOverlayIds] = useState([]);
+  const [showPreview, setShowPreview] = useState(true);
+  const [solution, setSolution] = useState(null);
+  const [objective, setObjective] = useState("tension");
+  const [arc, setArc] = useState("LOW");
+  const [autoFire, setAutoFire] = useState(false);
+  const [timeScale, setTimeScale] = useState(1);
+  const [paused, setPaused] = useState(false);
+  const [computerMode, setComputerMode] = useState("SOLVER");
+  const [variation, setVariation] = useState(DEFAULT_VARIATION);
+  const [dispersionShots, setDispersionShots] = useState(DISPERSION_SHOTS);
+  const [dispersion, setDispersion] = useState(null);
+  const [dispersing, setDispersing] = useState(false);
   
-  const [specs, setSpecs] = useState({
-    tension: 4000,      // N
-    armLength: 6,       // m
-    armMass: 25,        // kg
-    projMass: 10,       // kg
-    angle: 45,          // deg
-    targetDist: 150,    // m
-    wind: 0,            // m/s
-    drag: 0.05          // Drag Coeff
-  });
-
-  const [telemetry, setTelemetry] = useState({ range: 0, velocity: 0, impactError: 0 });
+  // A share link in the URL hash sets up the scenario it was made from
+  const [sharedScenario] = useState(() => decodeScenario(window.location.hash));
+  const [specs, setSpecs] = useState(sharedScenario?.specs ?? DEFAULT_SPECS);
+  const [battlefield, setBattlefield] = useState(sharedScenario?.battlefield ?? { seed: 1, relief: 0, obstacles: false, heightmap: null });
+  const [presets, setPresets] = useState(loadPresets);
+
+  const [telemetry, setTelemetry] = useState({ range: 0, velocity: 0, impactError: 0, lateralError: 0, struck: null, dealt: 0, destroyed: false });
+  const [targetIntegrity, setTargetIntegrity] = useState(1);
   const containerRef = useRef(null);
   const engineRef = useRef(null);
+  const workerRef = useRef(null);
+  const solveRequestRef = useRef(0);
+  const dispersionWorkerRef = useRef(null);
+  const dispersionRequestRef = useRef(0);
+  const aiTimerRef = useRef(null);
+  const holdFireRef = useRef(false);
+  const holdResetRef = useRef(false);
+  const preDuelStructureRef = useRef(null);
+  const runTargetRef = useRef(null);
+
+  // --- THE OMNI-SOLVER (v24) ---
+  // The search itself lives in solver.js and runs in a Web Worker; this only posts requests and applies answers.
+  // Intercepts on moving targets also carry a firing time on the engine's scenario clock.
+  // Solutions are in the selected engine's own controls (see engines/index.js).
+  const siegeEngine = engineFor(specs);
 
-  // --- DETERMINISTIC PHYSICS KERNEL ---
-  const runPhysicsStep = (state, p, dt) => {
-     const vx = state.vel.x;
-     const vy = state.vel.y;
-     const vz = state.vel.z || 0;
-     
-     const vSq = vx*vx + vy*vy + vz*vz;
-     const v = Math.sqrt(vSq);
-     
-     const Fd = 0.5 * 1.225 * vSq * p.drag * 0.05; 
-     
-     const dirX = v > 0 ? (vx/v) : 0;
-     const dirY = v > 0 ? (vy/v) : 0;
-
-     const ax = -(Fd * dirX + p.wind) / p.projMass;
-     const ay = -(Fd * (vy/v)) / p.projMass - 9.81;
-     
-     state.vel.x += ax * dt;
-     state.vel.y += ay * dt;
-     state.pos.x += state.vel.x * dt;
-     state.pos.y += state.vel.y * dt;
-     if (state.pos.z !== undefined) state.pos.z += (state.vel.z || 0) * dt;
-     
-     return state;
+  const applySolution = (sol, armed = autoFire) => {
+    const { power, aim } = siegeEngine;
+    setSpecs(s => ({ ...s, [power.key]: sol.power, [aim.key]: sol.aim, azimuth: sol.azimuth }));
+    setAutoCorrected(Math.abs(sol.aim - specs[aim.key]) > 0.5);
+    engineRef.current?.setIntercept(sol.intercept ?? null);
+    engineRef.current?.armAutoFire(armed && sol.fireAt !== undefined ? sol.fireAt : null);
   };
 
-  // --- THE OMNI-SOLVER (v24) ---
-  const runOptimizer = () => {
+  // Arcs that meet in one shot are offered as the flat one
+  const pickArc = (result, preferred) => (distinctArcs(result) ? result[preferred === "LOW" ? "low" : "high"] : null) || result.low || result.high;
+
+  // `target` defaults to the current specs; `onLocked` gets the chosen solution, or null if there is none
+  const runOptimizer = (target = specs, onLocked) => {
+    if (!workerRef.current) { onLocked?.(null); return; }
     setSolverState("CALCULATING");
     setAutoCorrected(false);
-    
-    setTimeout(() => {
-      // 1. Simulation Helper
-      const simulateShot = (testTension, testAngle) => {
-        const dt = 0.016; 
-        const efficiency = 0.12; 
-        const swingArc = Math.PI / 2;
-        
-        const v0 = Math.sqrt( (testTension * swingArc**2 * efficiency) / specs.projMass );
-        const rad = testAngle * (Math.PI/180);
-        
-        // Exact Release Point Calculation
-        const releaseTheta = (testAngle - 90) * (Math.PI / 180);
-        const launchPos = {
-           x: 0 + Math.cos(releaseTheta) * specs.armLength,
-           y: 5.5 + Math.sin(releaseTheta) * specs.armLength,
-           z: 0
-        };
+    const id = ++solveRequestRef.current;
+    workerRef.current.onmessage = ({ data }) => {
+      if (data.id !== solveRequestRef.current) return;
+      if (data.error) { console.error(data.error); setSolution(null); setSolverState("IMPOSSIBLE"); onLocked?.(null); return; }
+      setSolution(data.result);
+      if (!data.result.feasible) { setSolverState("IMPOSSIBLE"); onLocked?.(null); return; }
+      const sol = pickArc(data.result, arc);
+      applySolution(sol);
+      setSolverState("LOCKED");
+      onLocked?.(sol);
+    };
+    // Fast-forward runs the scenario clock ahead of the solver, so the lead grows with it
+    const fireAfter = (engineRef.current?.getClock() ?? 0) + FIRE_LEAD * Math.max(1, timeScale);
+    workerRef.current.postMessage({ id, specs: target, options: { objective, world, structure: engineRef.current?.getStructure(), fireAfter, variation } });
+  };
 
-        let sim = {
-          pos: launchPos, 
-          vel: { x: Math.cos(rad) * v0, y: Math.sin(rad) * v0, z: 0 }
-        };
-        
-        for(let i=0; i<3000; i++) {
-           sim = runPhysicsStep(sim, specs, dt);
-           if (sim.pos.y <= 0) break;
-        }
-        return sim.pos.x;
-      };
-
-      // 2. Binary Search Function
-      const searchTension = (angle) => {
-         let min = 10, max = 500000; // Massive range
-         let bestT = min;
-         let bestErr = Infinity;
-
-         for(let i=0; i<50; i++) { // High precision iteration count
-            const mid = (min + max) / 2;
-            const r = simulateShot(mid, angle);
-            const err = r - specs.targetDist;
-            
-            if (Math.abs(err) < bestErr) {
-               bestErr = Math.abs(err);
-               bestT = mid;
-            }
-            if (err > 0) max = mid; else min = mid;
-         }
-         return { t: bestT, err: bestErr };
-      };
-
-      // 3. Multi-Pass Optimization
-      let result = searchTension(specs.angle);
-      let finalAngle = specs.angle;
-
-      if (result.err > 1.5) {
-         // If user angle fails, sweep ballistic optimals
-         let bestGlobal = result;
-         
-         [30, 45, 60, 20, 70].forEach(a => {
-            const attempt = searchTension(a);
-            if (attempt.err < bestGlobal.err) {
-               bestGlobal = attempt;
-               finalAngle = a;
-            }
-         });
-         
-         if (bestGlobal.err < 2.0) {
-             result = bestGlobal;
-             setAutoCorrected(true);
-         }
-      }
-
-      setSpecs(s => ({ ...s, tension: Math.round(result.t), angle: Math.round(finalAngle) }));
-      setSolverState(result.err > 5.0 ? "IMPOSSIBLE" : "LOCKED");
-    }, 500);
+  // --- Dispersion ---
+  // Monte Carlo over the current settings (dispersion.js), on its own worker so a solve can run alongside.
+  // Every run uses the same seed, so two settings are compared against the same disturbances.
+  const runDispersion = () => {
+    if (!dispersionWorkerRef.current) return;
+    setDispersing(true);
+    const id = ++dispersionRequestRef.current;
+    dispersionWorkerRef.current.onmessage = ({ data }) => {
+      if (data.id !== dispersionRequestRef.current) return;
+      setDispersing(false);
+      if (data.error) { console.error(data.error); return; }
+      setDispersion(data.result);
+    };
+    // A moving target is judged from the intercept's firing time, or from now without one
+    const clock = (solution?.feasible ? pickArc(solution, arc).fireAt : undefined) ?? engineRef.current?.getClock() ?? 0;
+    dispersionWorkerRef.current.postMessage({ id, task: "disperse", specs, options: { shots: dispersionShots, variation, world, structure: engineRef.current?.getStructure(), clock } });
+  };
+
+  const chooseArc = (next) => {
+    setArc(next);
+    if (solution?.feasible) applySolution(pickArc(solution, next));
   };
 
+  const selectEngine = (key) => {
+    setSpecs(s => withEngine(s, key));
+    solveRequestRef.current++;
+    setSolution(null);
+    setSolverState("IDLE");
+    setAutoCorrected(false);
+  };
+
+  const toggleAutoFire = () => {
+    setAutoFire(!autoFire);
+    if (solution?.feasible) applySolution(pickArc(solution, arc), !autoFire);
+  };
+
+  useEffect(() => {
+    const worker = new Worker(new URL("./solver.worker.js", import.meta.url), { type: "module" });
+    const dispersionWorker = new Worker(new URL("./solver.worker.js", import.meta.url), { type: "module" });
+    workerRef.current = worker;
+    dispersionWorkerRef.current = dispersionWorker;
+    return () => { worker.terminate(); dispersionWorker.terminate(); };
+  }, []);
+
+  useEffect(() => { engineRef.current?.setScatter?.(dispersion?.impacts ?? null); }, [dispersion]);
+
   const generateTarget = () => {
     const dist = 50 + Math.random() * 400;
-    const wind = (Math.random() * 40) - 20;
-    setSpecs(s => ({ ...s, targetDist: Math.floor(dist), wind: parseFloat(wind.toFixed(1)) }));
+    const bearing = (Math.random() * 60) - 30;
+    const wind = Math.random() * 20;
+    const windHeading = Math.random() * 360;
+    setSpecs(s => ({ ...s, targetDist: Math.floor(dist), targetBearing: Math.round(bearing), wind: parseFloat(wind.toFixed(1)), windHeading: Math.floor(windHeading) }));
     setSolverState("IDLE");
+    setSolution(null);
     setSimState("READY");
     setAutoCorrected(false);
     engineRef.current?.reset();
   };
 
+  // A target's motion is timed from when it appears, so any change to it restarts the scenario clock
+  useEffect(() => {
+    engineRef.current?.resetClock?.();
+    solveRequestRef.current++;
+    setSolution(null);
+    setSolverState("IDLE");
+  }, [specs.targetDist, specs.targetBearing, specs.targetMotion, specs.targetSpeed, specs.targetHeading, specs.targetSpan, specs.targetAccel]);
+
+  // A new target, or a different structure at it, stands at full health
+  useEffect(() => { engineRef.current?.resetStructure?.(specs.targetStructure); }, [specs.targetStructure, specs.targetDist, specs.targetBearing]);
+
+  // --- Battlefield ---
+  // Terrain is regenerated only when its own inputs change; obstacles are re-placed around each new target.
+  const terrain = useMemo(() => {
+    if (battlefield.heightmap) return terrainFromImage(battlefield.heightmap, battlefield.relief, battlefield.heightmap.name);
+    return battlefield.relief > 0 ? createTerrain(battlefield.seed, battlefield.relief) : null;
+  }, [battlefield.seed, battlefield.relief, battlefield.heightmap]);
+
+  const world = useMemo(() => ({
+    terrain,
+    obstacles: battlefield.obstacles ? placeObstacles(specs, terrain, battlefield.seed) : []
+  }), [terrain, battlefield.obstacles, battlefield.seed, specs.targetDist, specs.targetBearing, specs.targetRadius]);
+
+  const targetElevation = useMemo(() => { const t = targetPosition(specs); return groundHeight(world, t.x, t.z); }, [world, specs.targetDist, specs.targetBearing]);
+
+  // A dispersion result only describes the settings it was run with
+  useEffect(() => {
+    dispersionRequestRef.current++;
+    setDispersion(null);
+    setDispersing(false);
+  }, [specs, world, variation, dispersionShots]);
+
+  const loadHeightmap = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    const image = await createImageBitmap(file);
+    const canvas = document.createElement("canvas");
+    canvas.width = image.width; canvas.height = image.height;
+    const ctx = canvas.getContext("2d");
+    ctx.drawImage(image, 0, 0);
+    const { width, height, data } = ctx.getImageData(0, 0, image.width, image.height);
+    setBattlefield(b => ({ ...b, relief: b.relief || 30, heightmap: { name: file.name, width, height, data } }));
+  };
+
+  // --- Mission Campaign ---
+  const startMission = (mission, seed) => {
+    const next = startRun(mission, seed);
+    setDuel(null);
+    setRun(next);
+    setBattlefield({ seed: next.seed, relief: mission.terrain?.relief ?? 0, obstacles: mission.terrain?.obstacles ?? false, heightmap: null });
+    setSpecs(s => ({ ...s, ...targetSpecs(currentTarget(next)) }));
+    setSolverState("IDLE");
+    setSolution(null);
+    setAutoCorrected(false);
+    engineRef.current?.reset();
+  };
+
+  // Each target's range, radius and wind are imposed once the catapult is re-armed. Every new target,
+  // the first of a run included, stands at full health even when it matches the one before.
+  useEffect(() => {
+    if (!run || run.status !== "ACTIVE" || simState !== "READY") return;
+    const target = currentTarget(run);
+    setSpecs(s => ({ ...s, ...targetSpecs(target) }));
+    if (runTargetRef.current !== target) engineRef.current?.resetStructure(target.structure ?? "marker");
+    runTargetRef.current = target;
+  }, [run, simState]);
+
+  useEffect(() => {
+    if (!run || run.status !== "COMPLETE" || cleared.includes(run.missionId)) return;
+    if (!summarizeRun(run, MISSIONS.find(m => m.id === run.missionId)).passed) return;
+    const next = [...cleared, run.missionId];
+    setCleared(next);
+    saveProgress(next);
+  }, [run]);
+
+  // --- Artillery Duel ---
+  // Fought on open ground; a new duel leaves any campaign run, and the other way round.
+  const beginDuel = (mode, difficulty) => {
+    clearTimeout(aiTimerRef.current);
+    setRun(null);
+    // A rematch keeps the target from before the first duel
+    if (!duel) preDuelStructureRef.current = specs.targetStructure;
+    setBattlefield(b => ({ seed: b.seed, relief: 0, obstacles: false, heightmap: null }));
+    setDuel(startDuel(mode, difficulty, randomSeed(), controlsOf(specs)));
+    setAutoCorrected(false);
+    engineRef.current?.reset();
+  };
+
+  const endDuel = () => {
+    clearTimeout(aiTimerRef.current);
+    solveRequestRef.current++;
+    setDuel(null);
+    setSolverState("IDLE");
+    const structure = preDuelStructureRef.current ?? specs.targetStructure;
+    setSpecs(s => ({ ...s, targetStructure: structure }));
+    engineRef.current?.resetStructure(structure);
+  };
+
+  // Each turn is set up from the shooter's side once the catapult is re-armed: the opposing catapult as the
+  // target, this turn's wind and the shooter's controls from its last turn. The AI commander then solves
+  // like the Tactical Computer and fires with its difficulty's errors.
+  useEffect(() => {
+    if (!duel || duel.status !== "ACTIVE" || simState !== "READY") return;
+    const side = activeSide(duel);
+    const next = { ...specs, ...duelSpecs(duel), ...duel.sides[side].controls };
+    setSpecs(next);
+    engineRef.current?.setStructure(duel.sides[1 - side].structure);
+    solveRequestRef.current++;
+    setSolution(null);
+    setSolverState("IDLE");
+    if (!isAiTurn(duel)) return;
+    runOptimizer(next, (sol) => {
+      aiTimerRef.current = setTimeout(() => {
+        const { power, aim } = engineFor(next);
+        const aimed = aimError(sol ? { ...next, [power.key]: sol.power, [aim.key]: sol.aim, azimuth: sol.azimuth } : next, duel.difficulty, aiRng(duel));
+        setSpecs(aimed);
+        // Fired straight away, ahead of the effect that would hand the new specs to the engine
+        engineRef.current.specs = aimed;
+        engineRef.current.fire();
+      }, AI_DELAY);
+    });
+    return () => clearTimeout(aiTimerRef.current);
+  }, [duel, simState]);
+
+  // A duel re-arms by itself once the shot has settled, and hands over to the other side
+  useEffect(() => {
+    if (!duel || duel.status !== "ACTIVE" || simState !== "IMPACT") return;
+    const timer = setTimeout(() => engineRef.current?.reset(), DUEL_REARM);
+    return () => clearTimeout(timer);
+  }, [duel, simState]);
+
+  useEffect(() => { if (duel?.status === "COMPLETE") setActiveTab("LOGS"); }, [duel?.status]);
+
+  const aiTurn = Boolean(duel && isAiTurn(duel));
+  // A duel turn runs itself from firing through the hand-over, so nothing resets the scene under it
+  const turnPending = duel?.status === "ACTIVE" && (aiTurn || simState !== "READY");
+  holdFireRef.current = aiTurn;
+  holdResetRef.current = turnPending;
+  // Scripted play (a campaign run or a duel) sets the target, wind and battlefield itself
+  const scripted = Boolean(run || duel?.status === "ACTIVE");
+
+  // --- Presets & Sharing ---
+  // A new battlefield leaves any campaign run, which would otherwise re-impose its own targets.
+  const loadSetup = ({ specs: next, battlefield: field }) => {
+    if (field) { setRun(null); setDuel(null); setBattlefield(field); }
+    setSpecs(next);
+    solveRequestRef.current++;
+    setSolution(null);
+    setSolverState("IDLE");
+    setAutoCorrected(false);
+    engineRef.current?.reset();
+  };
+
+  const savePreset = (name, kind) => setPresets(list => [...list, createPreset(name, kind, specs, battlefield)]);
+
+  // Writes the scenario into the address bar and copies the link; resolves false if the clipboard is unavailable.
+  const shareScenario = async () => {
+    const url = `${window.location.origin}${window.location.pathname}${window.location.search}${encodeScenario(specs, battlefield)}`;
+    window.history.replaceState(null, "", url);
+    try { await navigator.clipboard.writeText(url); return true; } catch { return false; }
+  };
+
+  // A link pasted into an open tab only changes the hash
+  useEffect(() => {
+    const onHashChange = () => { const shared = decodeScenario(window.location.hash); if (shared) loadSetup(shared); };
+    window.addEventListener("hashchange", onHashChange);
+    return () => window.removeEventListener("hashchange", onHashChange);
+  }, []);
+
+  useEffect(() => savePresets(presets), [presets]);
+
+  // --- Replay & Comparison ---
+  const overlays = useMemo(() => overlayIds
+    .map(id => flightLogs.find(l => l.id === id))
+    .filter(l => l?.trajectory)
+    .map((log, i) => ({ id: log.id, points: log.trajectory, color: overlayColor(i) })), [overlayIds, flightLogs]);
+
+  const startReplay = (log) => { engineRef.current?.replay(log.trajectory); setReplayId(log.id); };
+  const stopReplay = () => { engineRef.current?.stopReplay(); setReplayId(null); };
+  const toggleOverlay = (log) => setOverlayIds(ids => ids.includes(log.id) ? ids.filter(id => id !== log.id) : [...ids, log.id]);
+
+  useEffect(() => { engineRef.current?.setOverlays?.(overlays); }, [overlays]);
+  useEffect(() => { engineRef.current?.setPreview?.(showPreview); }, [showPreview]);
+  useEffect(() => { engineRef.current?.setWorld?.(world); }, [world]);
+
   // --- 3D Engine Initialization ---
   useEffect(() => {
-    let frameId, isMounted = true, resizeObserver;
+    let frameId, isMounted = true, resizeObserver, detachInput;
     const init = async () => {
       try {
         const THREE = await loadThreeJS();
@@ -187,9 +405,9 @@ export default function CatapultCommanderV24() {
         scene.background = new THREE.Color(COLORS.bg);
         scene.fog = new THREE.FogExp2(COLORS.bg, 0.002);
         
-        const camera = new THREE.PerspectiveCamera(45, width / height, 0.1, 5000);
-        camera.position.set(-50, 40, 0); camera.lookAt(0, 10, 0);
-        
+        const director = createCameraDirector(THREE, scene, width / height);
+        director.setMode(cameraMode);
+
         const renderer = new THREE.WebGLRenderer({ antialias: true, alpha: true });
         renderer.setSize(width, height);
         renderer.shadowMap.enabled = true;
@@ -206,29 +424,24 @@ export default function CatapultCommanderV24() {
         grid.position.y = 0.1; scene.add(grid);
         const floor = new THREE.Mesh(new THREE.PlaneGeometry(10000, 10000), new THREE.MeshStandardMaterial({ color: 0x050b14, roughness: 0.8 }));
         floor.rotation.x = -Math.PI / 2; floor.receiveShadow = true; scene.add(floor);
+        const terrainGroup = new THREE.Group(); scene.add(terrainGroup);
+        const obstacleGroup = new THREE.Group(); scene.add(obstacleGroup);
+        const obstacleMats = { wall: new THREE.MeshStandardMaterial({ color: 0x57534e, roughness: 0.95 }), tower: new THREE.MeshStandardMaterial({ color: 0x78716c, roughness: 0.9 }) };
+        // Target structure blocks are darkened as they lose health; debris shares one box per material
+        const structureGroup = new THREE.Group(); scene.add(structureGroup);
+        const debrisGroup = new THREE.Group(); scene.add(debrisGroup);
+        const blockMats = {
+          stone: new THREE.MeshStandardMaterial({ color: 0xa8a29e, roughness: 0.9 }),
+          timber: new THREE.MeshStandardMaterial({ color: COLORS.wood, roughness: 0.9 }),
+          oak: new THREE.MeshStandardMaterial({ color: 0x5b3a12, roughness: 0.85 }),
+          canvas: new THREE.MeshStandardMaterial({ color: 0xe7e5e4, roughness: 1 }),
+          earth: new THREE.MeshStandardMaterial({ color: 0x3f3a33, roughness: 1 })
+        };
+        const debrisGeo = new THREE.BoxGeometry(1, 1, 1);
 
-        const catapultGroup = new THREE.Group();
-        const woodMat = new THREE.MeshStandardMaterial({ color: COLORS.wood, roughness: 0.9 });
-        const metalMat = new THREE.MeshStandardMaterial({ color: COLORS.metal, roughness: 0.4 });
-        const base = new THREE.Group();
-        const beamL = new THREE.Mesh(new THREE.BoxGeometry(12, 1, 1), woodMat); beamL.position.set(0, 0.5, 2.5);
-        const beamR = new THREE.Mesh(new THREE.BoxGeometry(12, 1, 1), woodMat); beamR.position.set(0, 0.5, -2.5);
-        const beamF = new THREE.Mesh(new THREE.BoxGeometry(1, 1, 6), woodMat); beamF.position.set(5.5, 0.5, 0);
-        const beamB = new THREE.Mesh(new THREE.BoxGeometry(1, 1, 6), woodMat); beamB.position.set(-5.5, 0.5, 0);
-        const postL = new THREE.Mesh(new THREE.BoxGeometry(1, 6, 1), woodMat); postL.position.set(0, 3, 2.5);
-        const postR = new THREE.Mesh(new THREE.BoxGeometry(1, 6, 1), woodMat); postR.position.set(0, 3, -2.5);
-        const axle = new THREE.Mesh(new THREE.CylinderGeometry(0.3, 0.3, 7, 16), metalMat);
-        axle.rotation.x = Math.PI/2; axle.position.set(0, 5.5, 0);
-        const stopBar = new THREE.Mesh(new THREE.CylinderGeometry(0.3, 0.3, 7, 16), metalMat);
-        stopBar.rotation.x = Math.PI/2; stopBar.position.set(3, 7, 0); 
-        const stopSupL = new THREE.Mesh(new THREE.BoxGeometry(0.5, 4, 0.5), woodMat); stopSupL.position.set(3, 5, 3);
-        const stopSupR = new THREE.Mesh(new THREE.BoxGeometry(0.5, 4, 0.5), woodMat); stopSupR.position.set(3, 5, -3);
-        base.add(beamL, beamR, beamF, beamB, postL, postR, axle, stopBar, stopSupL, stopSupR);
-        catapultGroup.add(base);
-        const armPivot = new THREE.Group(); armPivot.position.set(0, 5.5, 0);
-        const armBeam = new THREE.Mesh(new THREE.BoxGeometry(8, 0.6, 0.8), woodMat);
-        const cup = new THREE.Mesh(new THREE.CylinderGeometry(1.2, 1.0, 1.0, 16, 1, true), metalMat);
-        armPivot.add(armBeam, cup); catapultGroup.add(armPivot); scene.add(catapultGroup);
+        // The siege engine's model comes from engineModels.js and is swapped whenever the selected engine changes
+        const catapultGroup = new THREE.Group(); scene.add(catapultGroup);
+        const engineMats = { wood: new THREE.MeshStandardMaterial({ color: COLORS.wood, roughness: 0.9 }), metal: new THREE.MeshStandardMaterial({ color: COLORS.metal, roughness: 0.4 }) };
         const projectile = new THREE.Mesh(new THREE.SphereGeometry(0.8, 32, 32), new THREE.MeshStandardMaterial({ color: COLORS.projectile, emissive: COLORS.projectile, emissiveIntensity: 0.5 }));
         projectile.castShadow = true; scene.add(projectile);
         const targetGroup = new THREE.Group();
@@ -239,45 +452,254 @@ export default function CatapultCommanderV24() {
         const trailGeo = new THREE.BufferGeometry();
         const trailMat = new THREE.LineBasicMaterial({ color: COLORS.accent, linewidth: 2 });
         const trailLine = new THREE.Line(trailGeo, trailMat); scene.add(trailLine);
+        const replayBall = new THREE.Mesh(new THREE.SphereGeometry(0.8, 16, 16), new THREE.MeshStandardMaterial({ color: 0xffffff, emissive: 0xffffff, emissiveIntensity: 0.6 }));
+        replayBall.visible = false; scene.add(replayBall);
+        const replayLine = new THREE.Line(new THREE.BufferGeometry(), new THREE.LineBasicMaterial({ color: 0xffffff }));
+        replayLine.visible = false; scene.add(replayLine);
+        const overlayGroup = new THREE.Group(); scene.add(overlayGroup);
+        const previewGroup = new THREE.Group(); scene.add(previewGroup);
+        const previewMat = new THREE.LineDashedMaterial({ color: COLORS.accent, dashSize: 2, gapSize: 1.5, transparent: true, opacity: 0.6 });
+        const previewLine = new THREE.Line(new THREE.BufferGeometry(), previewMat);
+        const previewMarker = new THREE.Mesh(new THREE.RingGeometry(1.2, 2, 24), new THREE.MeshBasicMaterial({ color: COLORS.accent, side: THREE.DoubleSide, transparent: true, opacity: 0.8 }));
+        previewMarker.rotation.x = -Math.PI/2;
+        const coneMat = new THREE.LineBasicMaterial({ color: COLORS.accent, transparent: true, opacity: 0.15 });
+        const coneLines = Array.from({ length: 8 }, () => new THREE.Line(new THREE.BufferGeometry(), coneMat));
+        const coneFootprint = new THREE.LineLoop(new THREE.BufferGeometry(), new THREE.LineBasicMaterial({ color: COLORS.accent, transparent: true, opacity: 0.5 }));
+        previewGroup.add(previewLine, previewMarker, coneFootprint, ...coneLines);
+        const interceptMarker = new THREE.Mesh(new THREE.OctahedronGeometry(1.5), new THREE.MeshBasicMaterial({ color: COLORS.success, wireframe: true }));
+        interceptMarker.visible = false; scene.add(interceptMarker);
+        const pathLine = new THREE.Line(new THREE.BufferGeometry(), new THREE.LineDashedMaterial({ color: COLORS.danger, dashSize: 3, gapSize: 2, transparent: true, opacity: 0.5 }));
+        pathLine.visible = false; scene.add(pathLine);
+        const scatter = new THREE.Points(new THREE.BufferGeometry(), new THREE.PointsMaterial({ size: 1.2, vertexColors: true, transparent: true, opacity: 0.85 }));
+        scatter.visible = false; scene.add(scatter);
         setBootStatus("READY");
 
         const state = {
           phase: "READY", pos: new THREE.Vector3(0,0,0), vel: new THREE.Vector3(0,0,0),
-          theta: -Math.PI / 4, omega: 0, alpha: 0, trail: [], time: 0,
-          camera: { radius: 80, theta: Math.PI/4, phi: Math.PI/3, center: new THREE.Vector3(0,10,0), dragging: false, lastMouse: {x:0, y:0} }
+          model: null, rig: null, trail: [], time: 0,
+          tick: 0, autoFireAt: null, pathSpecs: null,
+          // Fixed-step clock: real frame time, scaled, is banked in `acc` and spent in DEFAULT_DT steps
+          timeScale: paused ? 0 : timeScale, acc: 0, lastFrame: null, prevPos: new THREE.Vector3(0,0,0), prevRig: null,
+          preview: { enabled: showPreview, specs: null },
+          structure: createStructure(specs.targetStructure), builtStructure: null, debris: [], rollout: null
+        };
+
+        // Ghost preview: the predicted arc for the current specs, from the same engine as a real shot.
+        // With wind variability on, the cone is the envelope of arcs at the edge of the gust disc.
+        const toVec = (q) => new THREE.Vector3(q.x, q.y, q.z);
+        const landing = (r) => r.impact || r.trajectory[r.trajectory.length - 1];
+        const updatePreview = (p, world) => {
+          const nominal = simulate(p, { sampleEvery: 2, world });
+          previewLine.geometry.setFromPoints(nominal.trajectory.map(toVec));
+          previewLine.computeLineDistances();
+          const end = landing(nominal);
+          previewMarker.position.set(end.x, end.y + 0.2, end.z);
+          const gusts = p.windGust > 0 ? gustEnvelope(p, coneLines.length).map(g => simulate(g, { sampleEvery: 4, world })) : [];
+          coneLines.forEach((line, i) => {
+            line.visible = i < gusts.length;
+            if (line.visible) line.geometry.setFromPoints(gusts[i].trajectory.map(toVec));
+          });
+          coneFootprint.visible = gusts.length > 0;
+          if (gusts.length) coneFootprint.geometry.setFromPoints(gusts.map(g => toVec(landing(g)).setY(landing(g).y + 0.2)));
         };
 
-        const handleMouse = (e) => {
-          if(e.type==="mousedown") { state.camera.dragging=true; state.camera.lastMouse={x:e.clientX, y:e.clientY}; }
-          if(e.type==="mouseup") state.camera.dragging=false;
-          if(e.type==="mousemove" && state.camera.dragging) {
-            const dx = e.clientX - state.camera.lastMouse.x;
-            const dy = e.clientY - state.camera.lastMouse.y;
-            state.camera.theta -= dx * 0.005;
-            state.camera.phi = Math.max(0.1, Math.min(Math.PI/2 - 0.1, state.camera.phi - dy * 0.005));
-            state.camera.lastMouse = {x:e.clientX, y:e.clientY};
+        // Ground track of a moving target: where it starts, out to the far end of its path
+        const updatePath = (p, world) => {
+          pathLine.visible = isMoving(p);
+          if (!pathLine.visible) return;
+          const start = targetPosition(p), end = pathOffset(p);
+          const points = Array.from({ length: 21 }, (_, i) => {
+            const x = start.x + end.x * i / 20, z = start.z + end.z * i / 20;
+            return new THREE.Vector3(x, groundHeight(world, x, z) + 0.3, z);
+          });
+          pathLine.geometry.setFromPoints(points);
+          pathLine.computeLineDistances();
+        };
+
+        const mountEngine = (p) => {
+          if (state.model) {
+            state.model.group.traverse(o => { o.geometry?.dispose(); if (o.material && !Object.values(engineMats).includes(o.material)) o.material.dispose(); });
+            catapultGroup.remove(state.model.group);
+          }
+          state.model = { key: p.engine, ...buildEngineModel(THREE, p.engine, engineMats) };
+          state.rig = engineFor(p).rest(p);
+          state.prevRig = null;
+          catapultGroup.add(state.model.group);
+        };
+
+        // Terrain mesh (heights laid straight onto a plane's vertex grid) and obstacle boxes
+        const disposeAll = (group) => { group.children.forEach(o => { o.geometry.dispose(); if (!Object.values(obstacleMats).includes(o.material)) o.material.dispose(); }); group.clear(); };
+        const buildWorld = ({ terrain, obstacles }) => {
+          disposeAll(terrainGroup); disposeAll(obstacleGroup);
+          grid.visible = !terrain;
+          floor.position.y = terrain ? terrain.heights.reduce((lo, h) => Math.min(lo, h), 0) - 0.5 : 0;
+          if (terrain) {
+            const geo = new THREE.PlaneGeometry(TERRAIN_SIZE, TERRAIN_SIZE, TERRAIN_RESOLUTION - 1, TERRAIN_RESOLUTION - 1);
+            geo.rotateX(-Math.PI / 2);
+            terrain.heights.forEach((h, k) => geo.attributes.position.setY(k, h));
+            geo.translate(TERRAIN_CENTER.x, 0, TERRAIN_CENTER.z);
+            geo.computeVertexNormals();
+            const ground = new THREE.Mesh(geo, new THREE.MeshStandardMaterial({ color: 0x0a1628, roughness: 0.9, polygonOffset: true, polygonOffsetFactor: 1, polygonOffsetUnits: 1 }));
+            ground.receiveShadow = true;
+            terrainGroup.add(ground, new THREE.Mesh(geo.clone(), new THREE.MeshBasicMaterial({ color: COLORS.grid, wireframe: true, transparent: true, opacity: 0.5 })));
           }
-          if(e.type==="wheel") state.camera.radius = Math.max(20, Math.min(200, state.camera.radius + e.deltaY * 0.1));
+          obstacles.forEach(o => {
+            const mesh = new THREE.Mesh(new THREE.BoxGeometry(o.width, o.height, o.depth), obstacleMats[o.kind]);
+            mesh.position.set(o.x, o.base + o.height / 2, o.z);
+            mesh.rotation.y = -o.rotation * (Math.PI/180);
+            mesh.castShadow = true; mesh.receiveShadow = true;
+            obstacleGroup.add(mesh);
+          });
+        };
+
+        const buildStructure = (structure) => {
+          structureGroup.children.forEach(o => { o.geometry.dispose(); o.material.dispose(); });
+          structureGroup.clear();
+          structure.blocks.filter(b => b.health > 0).forEach(b => {
+            const mesh = new THREE.Mesh(new THREE.BoxGeometry(b.width, b.height, b.depth), blockMats[b.material].clone());
+            mesh.material.color.multiplyScalar(0.35 + 0.65 * b.health / b.maxHealth);
+            mesh.position.set(b.x, b.y + b.height / 2, b.z);
+            mesh.castShadow = true; mesh.receiveShadow = true;
+            structureGroup.add(mesh);
+          });
+          state.builtStructure = structure;
         };
-        renderer.domElement.addEventListener("mousedown", handleMouse);
-        window.addEventListener("mousemove", handleMouse);
-        window.addEventListener("mouseup", handleMouse);
-        renderer.domElement.addEventListener("wheel", handleMouse);
+
+        // The world a live shot meets at scenario time `t`: the battlefield it was fired into and the structure's standing blocks
+        const liveWorld = (t) => withStructure(state.fired.world, state.structure, state.fired.nominal, t);
+
+        // Kinetic energy goes into the structure, fragments of whatever was hit fly off and an open-ground shot rolls on
+        const strike = (shot, t) => {
+          const { actual, nominal, world, seed } = state.fired;
+          const energy = 0.5 * actual.projMass * (shot.vel.x ** 2 + shot.vel.y ** 2 + shot.vel.z ** 2);
+          const struck = shot.struck?.kind === "target" ? shot.struck.block : null;
+          const hit = damageStructure(state.structure, shot.pos, energy, structureFrame(nominal, t, world), struck);
+          state.structure = hit.structure;
+          const material = struck !== null ? state.structure.blocks[struck].material : hit.destroyed[0]?.material ?? "earth";
+          state.debris.push(...scatterDebris(shot.pos, Math.min(24, 6 + hit.destroyed.length * 3), Math.min(12, Math.sqrt(energy) / 12), material, createRng(seed)));
+          state.rollout = createRollout(shot, liveWorld(t));
+          setTargetIntegrity(integrity(state.structure));
+          return { dealt: hit.dealt, destroyed: isDestroyed(state.structure) };
+        };
+
+        detachInput = director.attach(renderer.domElement);
 
         resizeObserver = new ResizeObserver(() => {
           if (!containerRef.current) return;
           const w = containerRef.current.clientWidth;
           const h = containerRef.current.clientHeight;
-          camera.aspect = w / h;
-          camera.updateProjectionMatrix();
+          director.resize(w / h);
           renderer.setSize(w, h);
         });
         resizeObserver.observe(containerRef.current);
 
         engineRef.current = {
           specs: specs,
-          fire: () => { state.phase = "SWING"; state.trail = []; state.time = 0; setSimState("FIRED"); },
-          reset: () => { state.phase = "READY"; state.omega = 0; state.theta = -Math.PI * 0.8; state.trail = []; trailLine.geometry.setFromPoints([new THREE.Vector3(0,0,0)]); setSimState("READY"); }
+          world: world,
+          session: { solverState, autoCorrected, missionId: run?.missionId ?? null },
+          fire: () => { if (state.phase !== "READY") return; const nominal = engineRef.current.specs, seed = randomSeed(); state.fired = { nominal, seed, actual: sampleGust(nominal, createRng(seed)), world: engineRef.current.world, clock: state.tick * DEFAULT_DT }; state.shot = createShot(state.fired.actual); state.phase = "SWING"; state.trail = []; state.time = 0; setSimState("FIRED"); },
+          // Replay of a recorded [t, x, y, z] trajectory, independent of the live shot
+          replay: (points) => { state.replay = { points, t: 0, speed: 1, playing: true, duration: duration(points) }; },
+          stopReplay: () => { state.replay = null; replayBall.visible = false; replayLine.visible = false; },
+          getReplay: () => state.replay,
+          setPreview: (enabled) => { state.preview.enabled = enabled; state.preview.specs = null; },
+          setWorld: (world) => { engineRef.current.world = world; state.preview.specs = null; state.pathSpecs = null; buildWorld(world); },
+          // Scenario clock (s): moving targets are placed by it and intercepts are timed against it
+          getClock: () => state.tick * DEFAULT_DT,
+          resetClock: () => { state.tick = 0; state.autoFireAt = null; interceptMarker.visible = false; },
+          armAutoFire: (fireAt) => { state.autoFireAt = fireAt; },
+          setTimeScale: (scale) => { state.timeScale = scale; },
+          setCameraMode: (mode) => director.setMode(mode),
+          // Dispersion impacts, green inside the target radius and red outside
+          setScatter: (impacts) => {
+            scatter.visible = !!impacts?.length;
+            if (!scatter.visible) return;
+            const hit = new THREE.Color(COLORS.success), miss = new THREE.Color(COLORS.danger);
+            scatter.geometry.setAttribute("position", new THREE.Float32BufferAttribute(impacts.flatMap(s => [s.x, s.y + 0.3, s.z]), 3));
+            scatter.geometry.setAttribute("color", new THREE.Float32BufferAttribute(impacts.flatMap(s => (s.hit ? hit : miss).toArray()), 3));
+            scatter.geometry.computeBoundingSphere();
+          },
+          setIntercept: (point) => {
+            interceptMarker.visible = !!point;
+            if (point) interceptMarker.position.set(point.x, groundHeight(engineRef.current.world, point.x, point.z) + 1.5, point.z);
+          },
+          setReplay: (patch) => { if (state.replay) Object.assign(state.replay, patch); },
+          stepReplay: (direction) => { if (state.replay) { state.replay.playing = false; state.replay.t = stepTime(state.replay.points, state.replay.t, direction); } },
+          setOverlays: (overlays) => {
+            overlayGroup.children.forEach(o => { o.geometry.dispose(); o.material.dispose(); });
+            overlayGroup.clear();
+            overlays.forEach(({ points, color }) => {
+              const path = points.map(p => new THREE.Vector3(p[1], p[2], p[3]));
+              overlayGroup.add(new THREE.Line(new THREE.BufferGeometry().setFromPoints(path), new THREE.LineBasicMaterial({ color })));
+              const marker = new THREE.Mesh(new THREE.RingGeometry(1, 1.6, 24), new THREE.MeshBasicMaterial({ color, side: THREE.DoubleSide }));
+              marker.rotation.x = -Math.PI/2; marker.position.copy(path[path.length - 1]); marker.position.y += 0.15; overlayGroup.add(marker);
+            });
+          },
+          getStructure: () => state.structure,
+          setStructure: (structure) => { state.structure = structure; state.debris = []; setTargetIntegrity(integrity(structure)); },
+          resetStructure: (kind) => engineRef.current.setStructure(createStructure(kind)),
+          reset: () => { state.phase = "READY"; state.rollout = null; state.rig = engineFor(engineRef.current.specs).rest(engineRef.current.specs); state.trail = []; trailLine.geometry.setFromPoints([new THREE.Vector3(0,0,0)]); setSimState("READY"); }
+        };
+
+        engineRef.current.setOverlays(overlays);
+        engineRef.current.setScatter(dispersion?.impacts ?? null);
+        buildWorld(world);
+
+        // One fixed physics step: auto-fire, the engine and the shot, then the scenario clock.
+        // The step is always DEFAULT_DT, whatever the frame rate or time scale, so shots replay exactly.
+        const step = (p, engine) => {
+          const dt = DEFAULT_DT;
+          state.prevPos.copy(state.pos);
+          state.prevRig = { ...state.rig };
+
+          // Auto-fire on the tick nearest the intercept's firing time; a window missed while busy is dropped
+          if (state.autoFireAt !== null && state.tick * dt >= state.autoFireAt - dt / 2) {
+             if (state.phase === "READY" && state.tick * dt < state.autoFireAt + dt / 2) engineRef.current.fire();
+             state.autoFireAt = null;
+          }
+
+          if (state.phase === "READY") {
+             // Wind the engine back to its cocked pose
+             const loaded = engine.load(p);
+             Object.keys(loaded).forEach(k => { state.rig[k] = THREE.MathUtils.lerp(state.rig[k], loaded[k], 0.1); });
+             const cup = engine.payload(state.rig, p);
+             state.pos.set(cup.x, cup.y, cup.z);
+          }
+          else if (state.phase === "SWING" || state.phase === "FLIGHT") {
+             const shot = stepShot(state.shot, state.fired.actual, dt, liveWorld(state.tick * dt));
+             state.pos.set(shot.pos.x, shot.pos.y, shot.pos.z);
+             state.vel.set(shot.vel.x, shot.vel.y, shot.vel.z);
+             state.rig = shot;
+             if (shot.phase !== "SWING") {
+                if (state.phase === "SWING") { state.flightPoints = []; setTelemetry(t => ({ ...t, velocity: Math.hypot(shot.vel.x, shot.vel.y, shot.vel.z) })); }
+                state.phase = "FLIGHT";
+                state.time = shot.flightTime;
+                state.flightPoints.push(packPoint(state.time, state.pos));
+                if ((state.flightPoints.length - 1) % TRAIL_EVERY === 0 || shot.phase === "IMPACT") {
+                   state.trail.push(state.pos.clone()); trailLine.geometry.setFromPoints(state.trail);
+                }
+             }
+
+             if (shot.phase === "IMPACT") {
+               state.phase = "IMPACT"; setSimState("IMPACT");
+               const err = impactError(state.pos, state.fired.nominal, state.fired.clock + shot.releaseTime + shot.flightTime);
+               const range = Math.hypot(state.pos.x, state.pos.z);
+               const damage = strike(shot, state.tick * dt);
+               const struck = shot.struck?.kind === "target" ? STRUCTURES[state.structure.kind].name : shot.struck?.kind ?? null;
+               setTelemetry(t => ({ ...t, range, impactError: err.range, lateralError: err.lateral, struck, ...damage }));
+               setRun(r => r && recordImpact(r, err.miss, damage));
+               setDuel(d => d && recordDuelShot(d, { miss: err.miss, dealt: damage.dealt, structure: state.structure, controls: controlsOf(state.fired.nominal) }));
+               setFlightLogs(prev => [...prev, createLogEntry(state.fired.nominal, state.pos, err, { ...engineRef.current.session, seed: state.fired.seed, clock: state.fired.clock, trajectory: state.flightPoints })]);
+             }
+          }
+          else if (state.phase === "IMPACT" && state.rollout && !state.rollout.resting) {
+             // The spent shot bounces and rolls on; it does no more damage
+             const r = stepRollout(state.rollout, dt, liveWorld(state.tick * dt));
+             state.pos.set(r.pos.x, r.pos.y, r.pos.z);
+          }
+          if (state.debris.length) state.debris = stepDebris(state.debris, dt, engineRef.current.world);
+
+          state.tick++;
         };
 
         const animate = () => {
@@ -285,86 +707,94 @@ export default function CatapultCommanderV24() {
           frameId = requestAnimationFrame(animate);
           if (!engineRef.current) return;
           const p = engineRef.current.specs;
-          const dt = 0.016; 
-          
-          // Visual scaling
-          const len = p.armLength;
-          armBeam.scale.set(len, 1, 1); armBeam.position.set(-len/2, 0, 0); cup.position.set(-len, 0.8, 0);
-          
-          const getCupPos = (angle) => {
-             const cupLocal = new THREE.Vector3(-len, 0.8, 0);
-             cupLocal.applyAxisAngle(new THREE.Vector3(0,0,1), angle);
-             cupLocal.add(new THREE.Vector3(0,5.5,0));
-             return cupLocal;
-          };
+          const dt = DEFAULT_DT;
+          const now = performance.now(), elapsed = Math.min(MAX_FRAME, (now - (state.lastFrame ?? now)) / 1000);
+          state.lastFrame = now;
 
-          if (state.phase === "READY") {
-             state.theta = THREE.MathUtils.lerp(state.theta, -Math.PI*0.75, 0.1);
-             armPivot.rotation.z = state.theta;
-             projectile.visible = true;
-             projectile.position.copy(getCupPos(state.theta));
-          } 
-          else if (state.phase === "SWING") {
-             const efficiency = 0.12; 
-             const swingArc = Math.PI / 2;
-             const vLaunch = Math.sqrt( (p.tension * swingArc**2 * efficiency) / p.projMass );
-             state.theta += 15 * dt;
-             
-             const releaseTheta = (p.angle - 90) * (Math.PI / 180);
-             
-             if (state.theta >= releaseTheta) { 
-                state.phase = "FLIGHT"; 
-                state.theta = releaseTheta;
-                
-                const rad = p.angle * (Math.PI / 180);
-                state.vel.set(
-                  Math.cos(rad) * vLaunch, 
-                  Math.sin(rad) * vLaunch, 
-                  0
-                );
-                state.pos.copy(projectile.position);
-             }
-             armPivot.rotation.z = state.theta;
-             projectile.position.copy(getCupPos(state.theta));
-          } 
-          else if (state.phase === "FLIGHT") {
-             state.time += dt;
-             armPivot.rotation.z = Math.PI/2 + Math.sin(state.time * 20) * 0.2 * Math.exp(-state.time);
-             
-             const nextState = runPhysicsStep(state, p, dt);
-
-             if (state.pos.y <= 0) {
-               state.pos.y = 0; state.phase = "IMPACT"; setSimState("IMPACT");
-               const err = state.pos.x - p.targetDist;
-               setTelemetry({ range: state.pos.x, velocity: 0, impactError: err });
-               setFlightLogs(prev => [...prev, { id: Date.now(), range: state.pos.x.toFixed(1), error: err.toFixed(1), tension: p.tension, angle: p.angle }]);
-             }
-             projectile.position.copy(state.pos);
-             if (state.trail.length < 500 && state.time % 0.05 < dt) {
-                state.trail.push(state.pos.clone()); trailLine.geometry.setFromPoints(state.trail);
-             }
+          const engine = engineFor(p);
+          if (!state.model || (state.model.key !== p.engine && state.phase !== "SWING" && state.phase !== "FLIGHT")) mountEngine(p);
+
+          state.acc += elapsed * state.timeScale;
+          while (state.acc >= dt) { step(p, engine); state.acc -= dt; }
+
+          // Draw between the last two steps, so motion stays smooth at any frame rate or time scale
+          const alpha = state.acc / dt;
+          const rig = { ...state.rig };
+          Object.keys(engine.load(p)).forEach(k => { if (state.prevRig && k in state.prevRig) rig[k] = THREE.MathUtils.lerp(state.prevRig[k], state.rig[k], alpha); });
+          if (state.phase === "READY") { const cup = engine.payload(rig, p); projectile.position.set(cup.x, cup.y, cup.z); }
+          else projectile.position.lerpVectors(state.prevPos, state.pos, alpha);
+
+          // Recomputed at most once per frame, only when the specs object has changed
+          previewGroup.visible = state.preview.enabled;
+          if (state.preview.enabled && state.preview.specs !== p) { state.preview.specs = p; updatePreview(p, engineRef.current.world); }
+
+          if (state.replay) {
+             const r = state.replay;
+             if (r.playing) { r.t = Math.min(r.duration, r.t + elapsed * r.speed); if (r.t >= r.duration) r.playing = false; }
+             const head = sampleAt(r.points, r.t);
+             replayBall.visible = true; replayBall.position.set(head.x, head.y, head.z);
+             replayLine.visible = true; replayLine.geometry.setFromPoints(pathUntil(r.points, r.t).map(q => new THREE.Vector3(q.x, q.y, q.z)));
           }
 
-          // Camera
-          const cx = state.camera.radius * Math.sin(state.camera.phi) * Math.sin(state.camera.theta);
-          const cy = state.camera.radius * Math.cos(state.camera.phi);
-          const cz = state.camera.radius * Math.sin(state.camera.phi) * Math.cos(state.camera.theta);
-          let targetPos = new THREE.Vector3(0, 10, 0);
-          if (cameraMode === "TRACKING" && (state.phase === "FLIGHT" || state.phase === "IMPACT")) targetPos.copy(state.pos);
-          state.camera.center.lerp(targetPos, 0.1);
-          camera.position.set(state.camera.center.x + cx, state.camera.center.y + cy, state.camera.center.z + cz);
-          camera.lookAt(state.camera.center);
-          targetGroup.position.set(p.targetDist, 0, 0);
-          renderer.render(scene, camera);
+          if (state.pathSpecs !== p) { state.pathSpecs = p; updatePath(p, engineRef.current.world); }
+          const tPos = targetPosition(p, Math.max(0, state.tick - 1 + alpha) * dt);
+          targetGroup.position.set(tPos.x, groundHeight(engineRef.current.world, tPos.x, tPos.z), tPos.z);
+
+          // Camera: follows a replay first, then a live shot from release until the next one is loaded
+          const subject = state.replay ? replayBall.position : state.phase === "FLIGHT" || state.phase === "IMPACT" ? projectile.position : null;
+          director.update({ subject, target: targetGroup.position, reach: Math.max(Math.hypot(tPos.x, tPos.z), subject ? Math.hypot(subject.x, subject.z) : 0) });
+          if (state.builtStructure !== state.structure) buildStructure(state.structure);
+          const frame = structureFrame(p, Math.max(0, state.tick - 1 + alpha) * dt, engineRef.current.world);
+          structureGroup.position.set(frame.x, frame.y, frame.z);
+          structureGroup.rotation.y = -frame.heading * (Math.PI/180);
+          while (debrisGroup.children.length < state.debris.length) debrisGroup.add(new THREE.Mesh(debrisGeo, blockMats.earth));
+          debrisGroup.children.forEach((mesh, i) => {
+            const d = state.debris[i];
+            mesh.visible = !!d;
+            if (!d) return;
+            mesh.material = blockMats[d.material];
+            mesh.position.set(d.pos.x, d.pos.y, d.pos.z);
+            mesh.scale.setScalar(d.size);
+            mesh.rotation.set(d.turn, d.turn * 0.7, 0);
+          });
+          tRing1.scale.set(p.targetRadius / 5, p.targetRadius / 5, 1);
+          state.model.pose(rig, p, state.phase === "READY" || state.phase === "SWING" ? null : state.time);
+          catapultGroup.rotation.y = -p.azimuth * (Math.PI/180);
+          renderer.render(scene, director.active());
         };
         animate();
       } catch (e) { console.error(e); setBootStatus("ERROR"); }
     };
     init();
-    return () => { isMounted = false; if (frameId) cancelAnimationFrame(frameId); if (resizeObserver) resizeObserver.disconnect(); };
-  }, [cameraMode]); 
+    return () => { isMounted = false; if (frameId) cancelAnimationFrame(frameId); if (resizeObserver) resizeObserver.disconnect(); if (detachInput) detachInput(); };
+  }, []);
+
+  useEffect(() => { engineRef.current?.setCameraMode(cameraMode); }, [cameraMode]);
+
+  // Keyboard shortcuts, except while typing in a field: F or Space fires, R resets, C (Shift+C back) or 1–6 picks the camera, P pauses
+  useEffect(() => {
+    const onKey = (e) => {
+      if (e.ctrlKey || e.metaKey || e.altKey || e.target.closest?.("input, select, textarea")) return;
+      const key = e.key.toLowerCase();
+      if (key === "f" || key === " ") { e.preventDefault(); if (!holdFireRef.current) engineRef.current?.fire(); }
+      else if (key === "r") { if (!holdResetRef.current) engineRef.current?.reset(); }
+      else if (key === "c") setCameraMode(mode => nextCameraMode(mode, e.shiftKey ? -1 : 1));
+      else if (key === "p") setPaused(p => !p);
+      else if (CAMERA_MODES[key - 1]) setCameraMode(CAMERA_MODES[key - 1].key);
+    };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, []);
 
   useEffect(() => { if (engineRef.current) engineRef.current.specs = specs; }, [specs]);
+  useEffect(() => { engineRef.current?.setTimeScale(paused ? 0 : timeScale); }, [timeScale, paused]);
+  useEffect(() => { if (engineRef.current) engineRef.current.session = { solverState, autoCorrected, missionId: run?.missionId ?? null }; }, [solverState, autoCorrected, run?.missionId]);
+  useEffect(() => saveLogs(flightLogs), [flightLogs]);
+
+  const missDistance = Math.hypot(telemetry.impactError, telemetry.lateralError);
+  // A marker has nothing to knock down, so a hit on it counts as destroying it
+  const onTarget = missDistance < specs.targetRadius || telemetry.destroyed;
+  const targetDestroyed = telemetry.destroyed || (missDistance < specs.targetRadius && !STRUCTURES[specs.targetStructure].blocks.length);
 
   const handleFire = () => engineRef.current?.fire();
   const handleReset = () => engineRef.current?.reset();
@@ -377,11 +807,15 @@ export default function CatapultCommanderV24() {
       </div>
       <div className="absolute top-4 left-4 z-10 flex space-x-4 pointer-events-none">
         <div className="bg-slate-900/80 backdrop-blur border border-cyan-500/30 p-3 rounded-lg shadow-lg flex items-center space-x-6 text-xs font-mono">
-           <div className="flex flex-col"><span className="text-slate-500">TENSION</span><span className="text-cyan-400 text-lg">{(specs.tension)} <span className="text-[10px]">N</span></span></div>
+           <div className="flex flex-col"><span className="text-slate-500">{siegeEngine.power.label.toUpperCase()}</span><span className="text-cyan-400 text-lg">{specs[siegeEngine.power.key]} <span className="text-[10px]">{siegeEngine.power.unit}</span></span></div>
            <div className="h-6 w-px bg-slate-700"></div>
            <div className="flex flex-col"><span className="text-slate-500">RANGE</span><span className="text-white text-lg">{telemetry.range.toFixed(1)} <span className="text-[10px]">m</span></span></div>
            <div className="h-6 w-px bg-slate-700"></div>
-           <div className="flex flex-col"><span className="text-slate-500">WIND</span><span className={`${specs.wind !== 0 ? "text-red-400" : "text-slate-400"} text-lg`}>{specs.wind} <span className="text-[10px]">m/s</span></span></div>
+           <div className="flex flex-col"><span className="text-slate-500">LAUNCH</span><span className="text-white text-lg">{telemetry.velocity.toFixed(1)} <span className="text-[10px]">m/s</span></span></div>
+           <div className="h-6 w-px bg-slate-700"></div>
+           <div className="flex flex-col"><span className="text-slate-500">WIND</span><span className={`${specs.wind !== 0 ? "text-red-400" : "text-slate-400"} text-lg`}>{specs.wind} <span className="text-[10px]">m/s @ {specs.windHeading}°</span></span></div>
+           <div className="h-6 w-px bg-slate-700"></div>
+           <div className="flex flex-col"><span className="text-slate-500">ERROR R / L</span><span className="text-white text-lg">{telemetry.impactError.toFixed(1)} / {telemetry.lateralError.toFixed(1)} <span className="text-[10px]">m</span></span></div>
         </div>
       </div>
       <div className={`absolute top-4 bottom-4 right-4 z-20 w-[300px] bg-slate-900/90 backdrop-blur-md border border-slate-800 rounded-xl shadow-2xl flex flex-col transition-transform duration-300 ${panelOpen ? "translate-x-0" : "translate-x-[320px]"}`}>
@@ -393,47 +827,122 @@ export default function CatapultCommanderV24() {
          <div className="flex-1 overflow-y-auto p-4 space-y-5">
             {activeTab === "MISSION" && (
               <div className="space-y-5 animate-in fade-in slide-in-from-right-2">
+                 {duel?.status !== "ACTIVE" && <MissionCampaign run={run} cleared={cleared} onStart={startMission} onAbort={() => setRun(null)} onClose={() => setRun(null)} />}
+                 {run?.status !== "ACTIVE" && <DuelPanel duel={duel} onStart={beginDuel} onAbort={endDuel} />}
                  <div className="p-3 bg-slate-950 rounded border border-slate-800 space-y-3">
                     <div className="flex justify-between items-center text-[10px] font-bold text-slate-500 uppercase"><span>Target Acquisition</span><Target className="w-3 h-3 text-red-500" /></div>
-                    <div className="flex items-center space-x-2"><button onClick={generateTarget} className="bg-slate-800 hover:bg-slate-700 text-white p-2 rounded transition-colors"><RefreshCw className="w-3 h-3" /></button><div className="flex-1 bg-black/50 p-2 rounded text-right font-mono text-cyan-400 text-xs border border-cyan-900/30">{specs.targetDist}m</div></div>
+                    <div className="flex items-center space-x-2">{!scripted && <button onClick={generateTarget} className="bg-slate-800 hover:bg-slate-700 text-white p-2 rounded transition-colors"><RefreshCw className="w-3 h-3" /></button>}<div className="flex-1 bg-black/50 p-2 rounded text-right font-mono text-cyan-400 text-xs border border-cyan-900/30">{specs.targetDist}m @ {specs.targetBearing}°{world.terrain && <span className="text-slate-500"> | {targetElevation >= 0 ? "+" : ""}{targetElevation.toFixed(1)}m elev</span>}{isMoving(specs) && <span className="text-red-400"> | {specs.targetMotion.toUpperCase()}</span>}</div></div>
+                    {STRUCTURES[specs.targetStructure].blocks.length > 0 && <div className="flex items-center space-x-2 text-[10px] font-mono"><span className="text-slate-500">{STRUCTURES[specs.targetStructure].name.toUpperCase()}</span><div className="flex-1 h-1.5 bg-slate-800 rounded overflow-hidden"><div className={`h-full ${targetIntegrity < 0.4 ? "bg-red-500" : "bg-emerald-500"}`} style={{ width: `${targetIntegrity * 100}%` }} /></div><span className="text-slate-400">{(targetIntegrity * 100).toFixed(0)}%</span></div>}
+                    {!scripted && <>
+                       <div className="flex justify-between items-center text-[10px] text-slate-400"><span>Structure</span><div className="flex items-center space-x-1.5"><button onClick={() => engineRef.current?.resetStructure(specs.targetStructure)} title="Rebuild" className="text-slate-500 hover:text-white"><Hammer className="w-3 h-3" /></button><select value={specs.targetStructure} onChange={e => setSpecs({...specs, targetStructure: e.target.value})} className="bg-black/50 border border-slate-800 rounded px-1.5 py-1 text-[10px] text-slate-300 outline-none">{Object.entries(STRUCTURES).map(([k, st]) => <option key={k} value={k}>{st.name.toUpperCase()}</option>)}</select></div></div>
+                       <div className="flex justify-between items-center text-[10px] text-slate-400"><span>Motion</span><select value={specs.targetMotion} onChange={e => setSpecs({...specs, targetMotion: e.target.value})} className="bg-black/50 border border-slate-800 rounded px-1.5 py-1 text-[10px] text-slate-300 outline-none">{MOTIONS.map(m => <option key={m} value={m}>{m.toUpperCase()}</option>)}</select></div>
+                       {isMoving(specs) && <>
+                          <InputSlider label="Target Speed" value={specs.targetSpeed} min={0} max={15} step={0.5} onChange={v => setSpecs({...specs, targetSpeed: v})} unit="m/s" color="text-red-400" />
+                          <InputSlider label="Target Heading" value={specs.targetHeading} min={0} max={359} onChange={v => setSpecs({...specs, targetHeading: v})} unit="°" color="text-red-400" digits={0} />
+                          <InputSlider label="Path Length" value={specs.targetSpan} min={10} max={150} step={5} onChange={v => setSpecs({...specs, targetSpan: v})} unit="m" color="text-red-400" digits={0} />
+                          {specs.targetMotion === "accelerating" && <InputSlider label="Acceleration" value={specs.targetAccel} min={0} max={3} step={0.1} onChange={v => setSpecs({...specs, targetAccel: v})} unit="m/s²" color="text-red-400" />}
+                       </>}
+                    </>}
                  </div>
                  <div className="p-3 bg-slate-950 rounded border border-slate-800 space-y-3 relative overflow-hidden">
-                    {solverState === "CALCULATING" && <div className="absolute inset-0 bg-cyan-500/10 animate-pulse"></div>}
-                    <div className="flex justify-between items-center text-[10px] font-bold text-slate-500 uppercase relative z-10"><span>Tactical Computer</span><Cpu className={`w-3 h-3 ${solverState === "LOCKED" ? "text-emerald-500" : "text-slate-600"}`} /></div>
-                    
+                    {(solverState === "CALCULATING" || dispersing) && <div className="absolute inset-0 bg-cyan-500/10 animate-pulse"></div>}
+                    <div className="flex justify-between items-center text-[10px] font-bold uppercase relative z-10"><div className="flex space-x-3">{[["SOLVER", "Tactical Computer"], ["DISPERSION", "Dispersion"]].map(([k, l]) => <button key={k} onClick={() => setComputerMode(k)} className={computerMode === k ? "text-cyan-400" : "text-slate-500 hover:text-white"}>{l}</button>)}</div>{computerMode === "SOLVER" ? <Cpu className={`w-3 h-3 ${solverState === "LOCKED" ? "text-emerald-500" : "text-slate-600"}`} /> : <Target className="w-3 h-3 text-slate-600" />}</div>
+                    {computerMode === "SOLVER" ? <>
+                    <div className="grid grid-cols-2 gap-1.5 relative z-10">
+                       <div className="col-span-2 flex rounded overflow-hidden border border-slate-800 text-[9px] font-bold">{[["tension", `MIN ${siegeEngine.power.label.toUpperCase()}`], ["time", "MIN TIME"], ["hit", "MAX P(HIT)"]].map(([k, l]) => <button key={k} onClick={() => setObjective(k)} className={`flex-1 py-1 ${objective === k ? "bg-cyan-900/50 text-cyan-300" : "text-slate-500 hover:text-white"}`}>{l}</button>)}</div>
+                       {!(solution?.feasible && !distinctArcs(solution)) && <div className="flex rounded overflow-hidden border border-slate-800 text-[9px] font-bold">{[["LOW", "FLAT"], ["HIGH", "LOFTED"]].map(([k, l]) => <button key={k} onClick={() => chooseArc(k)} className={`flex-1 py-1 ${arc === k ? "bg-cyan-900/50 text-cyan-300" : "text-slate-500 hover:text-white"}`}>{l}</button>)}</div>}
+                    </div>
+                    {isMoving(specs) && <button onClick={toggleAutoFire} className={`w-full flex items-center justify-center py-1 rounded border text-[9px] font-bold relative z-10 ${autoFire ? "border-amber-500/50 text-amber-300 bg-amber-900/20" : "border-slate-800 text-slate-500 hover:text-white"}`}><Timer className="w-3 h-3 mr-1" />{autoFire ? "AUTO-FIRE ON" : "AUTO-FIRE OFF"}</button>}
+                    {solution && !solution.feasible && <div className="text-[9px] text-red-400 flex items-center relative z-10"><Ban className="w-3 h-3 mr-1 shrink-0" /> {solution.reason}</div>}
+                    {solution?.feasible && <div className="space-y-1 relative z-10">{(distinctArcs(solution) ? [solution.low, solution.high] : [pickArc(solution, arc)]).map(sol => (
+                       <button key={sol.arc} onClick={() => chooseArc(sol.arc)} className={`w-full flex justify-between px-2 py-1 rounded text-[9px] font-mono border ${pickArc(solution, arc) === sol ? "border-emerald-500/50 text-emerald-300 bg-emerald-900/20" : "border-slate-800 text-slate-400 hover:bg-slate-800"}`}>
+                          <span className="font-bold">{sol.arc === "LOW" ? "FLAT" : "LOFT"}</span><span>{formatPower(siegeEngine.power, sol.power)}</span><span>{sol.aim}{siegeEngine.aim.unit}</span><span>Az {sol.azimuth}°</span><span>{sol.flightTime.toFixed(1)}s</span>{sol.hitProbability !== undefined && <span>{(sol.hitProbability * 100).toFixed(0)}%</span>}{sol.fireAt !== undefined && <span>T+{sol.fireAt.toFixed(1)}</span>}
+                       </button>))}
+                       {pickArc(solution, arc).fireAt !== undefined && engineRef.current && <FireCountdown engine={engineRef.current} fireAt={pickArc(solution, arc).fireAt} armed={autoFire} />}
+                       {!(solution.low && solution.high) && <div className="text-[9px] text-slate-500">Only the {solution.low ? "flat" : "lofted"} arc is inside the angle limits.</div>}
+                       {solution.low && solution.high && !distinctArcs(solution) && <div className="text-[9px] text-slate-500">The flat and lofted arcs meet at this {siegeEngine.power.label.toLowerCase()}: one shot.</div>}
+                    </div>}
                     {autoCorrected && <div className="text-[9px] text-amber-400 flex items-center"><AlertTriangle className="w-3 h-3 mr-1" /> Angle auto-corrected for range.</div>}
                     
-                    <button onClick={runOptimizer} disabled={solverState === "CALCULATING"} className={`w-full py-2 rounded text-[10px] font-bold flex items-center justify-center space-x-2 transition-all relative z-10 ${solverState === "LOCKED" ? "bg-emerald-900/30 text-emerald-400 border border-emerald-500/50" : "bg-cyan-600 hover:bg-cyan-500 text-white"}`}>{solverState === "CALCULATING" ? <RefreshCw className="w-3 h-3 animate-spin"/> : solverState === "LOCKED" ? <CheckCircle2 className="w-3 h-3"/> : <Activity className="w-3 h-3"/>}<span>{solverState === "LOCKED" ? "TARGET LOCKED" : "CALCULATE SOLUTION"}</span></button>
+                    <button onClick={() => runOptimizer()} disabled={solverState === "CALCULATING"} className={`w-full py-2 rounded text-[10px] font-bold flex items-center justify-center space-x-2 transition-all relative z-10 ${solverState === "LOCKED" ? "bg-emerald-900/30 text-emerald-400 border border-emerald-500/50" : "bg-cyan-600 hover:bg-cyan-500 text-white"}`}>{solverState === "CALCULATING" ? <RefreshCw className="w-3 h-3 animate-spin"/> : solverState === "LOCKED" ? <CheckCircle2 className="w-3 h-3"/> : <Activity className="w-3 h-3"/>}<span>{solverState === "LOCKED" ? "TARGET LOCKED" : "CALCULATE SOLUTION"}</span></button>
+                    </> : <div className="space-y-3 relative z-10">
+                       <InputSlider label="Shots" value={dispersionShots} min={50} max={1000} step={50} onChange={setDispersionShots} unit="" digits={0} />
+                       <InputSlider label={`${siegeEngine.power.label} σ`} value={variation.power} min={0} max={10} step={0.5} onChange={v => setVariation({...variation, power: v})} unit="%" />
+                       <InputSlider label={`${siegeEngine.aim.label} σ`} value={variation.aim} min={0} max={3} step={0.1} onChange={v => setVariation({...variation, aim: v})} unit={siegeEngine.aim.unit} />
+                       <InputSlider label="Gusts" value={variation.gust} min={0} max={10} step={0.5} onChange={v => setVariation({...variation, gust: v})} unit="m/s" color="text-red-400" />
+                       <InputSlider label="Payload Mass σ" value={variation.mass} min={0} max={10} step={0.5} onChange={v => setVariation({...variation, mass: v})} unit="%" />
+                       {dispersion && <DispersionPlot result={dispersion} radius={specs.targetRadius} />}
+                       <button onClick={runDispersion} disabled={dispersing} className="w-full py-2 rounded text-[10px] font-bold flex items-center justify-center space-x-2 transition-all bg-cyan-600 hover:bg-cyan-500 text-white">{dispersing ? <RefreshCw className="w-3 h-3 animate-spin"/> : <Activity className="w-3 h-3"/>}<span>{dispersing ? "SIMULATING" : `RUN ${dispersionShots} SHOTS`}</span></button>
+                       <div className="text-[9px] text-slate-600">Varies the current settings shot to shot. MAX P(HIT) in the Tactical Computer uses the same variation.</div>
+                    </div>}
                  </div>
-                 <div className="space-y-3 pt-2"><h3 className="text-[10px] font-bold text-slate-500 uppercase">Mission Variables</h3><InputSlider label="Angle" value={specs.angle} min={10} max={80} onChange={v => setSpecs({...specs, angle: v})} unit="" /><InputSlider label="Wind" value={specs.wind} min={-20} max={20} onChange={v => setSpecs({...specs, wind: v})} unit="m/s" color="text-red-400" /></div>
+                 <div className="space-y-3 pt-2"><h3 className="text-[10px] font-bold text-slate-500 uppercase">Mission Variables</h3><InputSlider label={siegeEngine.aim.label} value={specs[siegeEngine.aim.key]} min={siegeEngine.aim.min} max={siegeEngine.aim.max} step={siegeEngine.aim.step} onChange={v => setSpecs({...specs, [siegeEngine.aim.key]: v})} unit={siegeEngine.aim.unit} /><InputSlider label="Azimuth" value={specs.azimuth} min={-60} max={60} step={0.1} onChange={v => setSpecs({...specs, azimuth: v})} unit="°" />{!scripted && <><InputSlider label="Wind" value={specs.wind} min={0} max={20} step={0.1} onChange={v => setSpecs({...specs, wind: v})} unit="m/s" color="text-red-400" /><InputSlider label="Wind Heading" value={specs.windHeading} min={0} max={359} onChange={v => setSpecs({...specs, windHeading: v})} unit="°" color="text-red-400" /><InputSlider label="Wind Variability" value={specs.windGust} min={0} max={10} step={0.5} onChange={v => setSpecs({...specs, windGust: v})} unit="m/s" color="text-red-400" /></>}</div>
+                 {!scripted && <div className="space-y-3 pt-4 border-t border-slate-800">
+                    <div className="flex justify-between items-center"><h3 className="text-[10px] font-bold text-slate-500 uppercase">Battlefield</h3><Mountain className="w-3 h-3 text-slate-600" /></div>
+                    <InputSlider label="Terrain Relief" value={battlefield.relief} min={0} max={60} step={1} onChange={v => setBattlefield({...battlefield, relief: v})} unit="m" color="text-lime-400" digits={0} />
+                    {battlefield.heightmap
+                      ? <div className="flex items-center justify-between text-[10px] bg-black/50 border border-slate-800 rounded px-2 py-1.5"><span className="text-slate-400 truncate">Heightmap: <span className="text-lime-400 font-mono">{battlefield.heightmap.name}</span></span><button onClick={() => setBattlefield({...battlefield, heightmap: null})} className="text-slate-500 hover:text-white ml-2"><X className="w-3 h-3" /></button></div>
+                      : <div className="flex items-center space-x-2 text-[10px] text-slate-400"><span>Seed</span><input type="number" value={battlefield.seed} onChange={e => setBattlefield({...battlefield, seed: parseInt(e.target.value, 10) || 0})} className="flex-1 bg-black/50 border border-slate-800 rounded px-2 py-1 font-mono text-slate-300 outline-none" /><button onClick={() => setBattlefield({...battlefield, seed: randomSeed()})} className="bg-slate-800 hover:bg-slate-700 text-white p-1.5 rounded"><RefreshCw className="w-3 h-3" /></button></div>}
+                    <div className="grid grid-cols-2 gap-1.5 text-[9px] font-bold">
+                       <button onClick={() => setBattlefield({...battlefield, obstacles: !battlefield.obstacles})} className={`flex items-center justify-center py-1.5 rounded border ${battlefield.obstacles ? "border-lime-500/50 text-lime-300 bg-lime-900/20" : "border-slate-800 text-slate-500 hover:text-white"}`}><Castle className="w-3 h-3 mr-1" />{battlefield.obstacles ? "DEFENCES ON" : "DEFENCES OFF"}</button>
+                       <label className="flex items-center justify-center py-1.5 rounded border border-slate-800 text-slate-500 hover:text-white cursor-pointer"><Upload className="w-3 h-3 mr-1" />HEIGHTMAP<input type="file" accept="image/*" onChange={loadHeightmap} className="hidden" /></label>
+                    </div>
+                 </div>}
               </div>
             )}
             {activeTab === "LAB" && (
               <div className="space-y-5 animate-in fade-in slide-in-from-right-2">
-                 <div className="p-3 bg-amber-900/10 border border-amber-500/20 rounded text-[10px] text-amber-200/80 leading-relaxed">Engineering Deck: Modifying these values alters the catapult's physics model.</div>
-                 <div className="space-y-3"><h3 className="text-[10px] font-bold text-slate-500 uppercase">Structural Specs</h3><InputSlider label="Arm Length" value={specs.armLength} min={3} max={10} step={0.5} onChange={v => setSpecs({...specs, armLength: v})} unit="m" color="text-amber-400" /><InputSlider label="Arm Mass" value={specs.armMass} min={10} max={100} onChange={v => setSpecs({...specs, armMass: v})} unit="kg" color="text-amber-400" /></div>
-                 <div className="space-y-3 pt-4 border-t border-slate-800"><h3 className="text-[10px] font-bold text-slate-500 uppercase">Power Train</h3><InputSlider label="Tension" value={specs.tension} min={1000} max={50000} step={100} onChange={v => setSpecs({...specs, tension: v})} unit="N" color="text-emerald-400" /><InputSlider label="Payload Mass" value={specs.projMass} min={1} max={50} onChange={v => setSpecs({...specs, projMass: v})} unit="kg" /></div>
+                 <div className="p-3 bg-amber-900/10 border border-amber-500/20 rounded text-[10px] text-amber-200/80 leading-relaxed">Engineering Deck: Modifying these values alters the siege engine's physics model.</div>
+                 <PresetPanel presets={presets} onSave={savePreset} onLoad={p => loadSetup(applyPreset(p, specs))} onDelete={id => setPresets(list => list.filter(p => p.id !== id))} onImport={imported => setPresets(list => mergePresets(list, imported))} onShare={shareScenario} heightmap={Boolean(battlefield.heightmap)} />
+                 <div className="space-y-3 pt-4 border-t border-slate-800">
+                    <div className="flex justify-between items-center"><h3 className="text-[10px] font-bold text-slate-500 uppercase">Siege Engine</h3><Castle className="w-3 h-3 text-amber-500" /></div>
+                    <div className="grid grid-cols-3 gap-1.5 text-[9px] font-bold">{Object.entries(ENGINES).map(([k, e]) => <button key={k} onClick={() => selectEngine(k)} className={`py-1.5 rounded border ${specs.engine === k ? "border-amber-500/50 text-amber-300 bg-amber-900/20" : "border-slate-800 text-slate-500 hover:text-white"}`}>{e.name.toUpperCase()}</button>)}</div>
+                    <div className="text-[9px] text-slate-500">{siegeEngine.summary}</div>
+                 </div>
+                 <div className="space-y-3 pt-4 border-t border-slate-800"><h3 className="text-[10px] font-bold text-slate-500 uppercase">Structural Specs</h3>{siegeEngine.params.map(c => <InputSlider key={c.key} label={c.label} value={specs[c.key]} min={c.min} max={c.max} step={c.step} onChange={v => setSpecs({...specs, [c.key]: v})} unit={c.unit} color="text-amber-400" digits={c.digits} />)}</div>
+                 <div className="space-y-3 pt-4 border-t border-slate-800"><h3 className="text-[10px] font-bold text-slate-500 uppercase">Power Train</h3><InputSlider label={siegeEngine.power.label} value={specs[siegeEngine.power.key]} min={siegeEngine.power.min} max={siegeEngine.power.max} step={siegeEngine.power.step} onChange={v => setSpecs({...specs, [siegeEngine.power.key]: v})} unit={siegeEngine.power.unit} color="text-emerald-400" digits={0} /><InputSlider label="Payload Mass" value={specs.projMass} min={1} max={50} onChange={v => setSpecs({...specs, projMass: v})} unit="kg" /></div>
+                 <div className="space-y-3 pt-4 border-t border-slate-800">
+                    <div className="flex justify-between items-center"><h3 className="text-[10px] font-bold text-slate-500 uppercase">Environment</h3><span className="text-[9px] font-mono text-sky-400">ρ {airDensity(0, specs).toFixed(3)} kg/m³</span></div>
+                    <InputSlider label="Site Elevation" value={specs.elevation} min={0} max={4000} step={50} onChange={v => setSpecs({...specs, elevation: v})} unit="m" color="text-sky-400" digits={0} />
+                    <InputSlider label="Temperature" value={specs.temperature} min={-30} max={50} step={0.5} onChange={v => setSpecs({...specs, temperature: v})} unit="°C" color="text-sky-400" />
+                    <InputSlider label="Sea-Level Pressure" value={specs.pressure} min={950} max={1060} step={0.25} onChange={v => setSpecs({...specs, pressure: v})} unit="hPa" color="text-sky-400" />
+                    <div className="flex justify-between items-center text-[10px] text-slate-400"><span>Projectile</span><select value={matchProjectile(specs)} onChange={e => e.target.value !== "custom" && setSpecs(withProjectile(specs, e.target.value))} className="bg-black/50 border border-slate-800 rounded px-1.5 py-1 text-[10px] text-slate-300 outline-none">{Object.entries(PROJECTILES).map(([k, p]) => <option key={k} value={k}>{p.name}</option>)}<option value="custom" disabled>Custom</option></select></div>
+                    <InputSlider label="Diameter" value={specs.diameter * 100} min={5} max={50} step={0.5} onChange={v => setSpecs({...specs, diameter: v / 100})} unit="cm" />
+                    <InputSlider label="Drag Coefficient" value={specs.drag} min={0.1} max={1.2} step={0.01} onChange={v => setSpecs({...specs, drag: v})} unit="" digits={2} />
+                    <InputSlider label="Spin (Magnus)" value={specs.spin} min={-10} max={10} step={0.5} onChange={v => setSpecs({...specs, spin: v})} unit=" rev/s" />
+                    <div className="text-[9px] text-slate-600">Positive spin is backspin and lifts the shot; 0 disables Magnus lift.</div>
+                 </div>
+                 <div className="space-y-3 pt-4 border-t border-slate-800">
+                    <h3 className="text-[10px] font-bold text-slate-500 uppercase">Simulation</h3>
+                    <div className="flex justify-between items-center text-[10px] text-slate-400"><span>Integrator</span><select value={specs.integrator} onChange={e => setSpecs({...specs, integrator: e.target.value})} className="bg-black/50 border border-slate-800 rounded px-1.5 py-1 text-[10px] text-slate-300 outline-none">{Object.entries(INTEGRATORS).map(([k, name]) => <option key={k} value={k}>{name}</option>)}</select></div>
+                    <div className="text-[9px] text-slate-600">Physics steps at a fixed {DEFAULT_DT * 1000} ms whatever the frame rate. The Tactical Computer uses the same integrator.</div>
+                 </div>
               </div>
             )}
             {activeTab === "LOGS" && (
               <div className="space-y-3 animate-in fade-in slide-in-from-right-2">
-                 <div className="flex justify-between items-center"><h3 className="text-[10px] font-bold text-emerald-500 uppercase">Flight Data</h3><button onClick={() => setFlightLogs([])} className="text-slate-500 hover:text-red-400"><Trash2 className="w-3 h-3" /></button></div>
-                 {flightLogs.length === 0 ? <div className="text-center text-slate-600 text-[10px] py-10 italic">No flight data recorded.</div> : <div className="space-y-2 max-h-[400px] overflow-y-auto">{flightLogs.map((log, i) => (<div key={log.id} className="bg-slate-950 border border-slate-800 rounded p-2 text-[10px] flex justify-between items-center"><span className="text-slate-500 font-mono w-4">#{i+1}</span><div><div className="text-white font-bold">{log.range}m</div><div className="text-slate-500">T:{log.tension} | A:{log.angle}</div></div><div className={`font-mono font-bold ${Math.abs(log.error) < 5 ? "text-emerald-400" : "text-red-400"}`}>{log.error > 0 ? "+" : ""}{log.error}m</div></div>))}</div>}
+                 {duel && <DuelLog duel={duel} onRematch={() => beginDuel(duel.mode, duel.difficulty)} onClose={endDuel} />}
+                 <FlightLogPanel logs={flightLogs} onImport={entries => setFlightLogs(prev => mergeLogs(prev, entries))} onClear={() => { stopReplay(); setOverlayIds([]); setFlightLogs([]); }} overlays={overlays} onToggleOverlay={toggleOverlay} onReplay={startReplay} />
               </div>
             )}
          </div>
          <div className="p-4 bg-slate-900 border-t border-slate-800 grid grid-cols-2 gap-3">
-            <button onClick={() => engineRef.current?.reset()} className="py-2 rounded bg-slate-800 hover:bg-slate-700 text-white text-[10px] font-bold flex items-center justify-center transition-colors"><RotateCcw className="w-3 h-3 mr-2" /> RESET</button>
-            <button onClick={() => engineRef.current?.fire()} disabled={simState !== "READY"} className={`py-2 rounded text-white text-[10px] font-bold flex items-center justify-center transition-all ${simState === "READY" ? "bg-red-600 hover:bg-red-500 shadow-lg shadow-red-900/30" : "bg-slate-800 text-slate-500 cursor-not-allowed"}`}><Zap className="w-3 h-3 mr-2" /> FIRE</button>
+            <button onClick={() => engineRef.current?.reset()} disabled={turnPending} className={`py-2 rounded text-[10px] font-bold flex items-center justify-center transition-colors ${turnPending ? "bg-slate-800 text-slate-500 cursor-not-allowed" : "bg-slate-800 hover:bg-slate-700 text-white"}`}><RotateCcw className="w-3 h-3 mr-2" /> RESET</button>
+            <button onClick={() => engineRef.current?.fire()} disabled={simState !== "READY" || aiTurn} className={`py-2 rounded text-white text-[10px] font-bold flex items-center justify-center transition-all ${simState === "READY" && !aiTurn ? "bg-red-600 hover:bg-red-500 shadow-lg shadow-red-900/30" : "bg-slate-800 text-slate-500 cursor-not-allowed"}`}><Zap className="w-3 h-3 mr-2" /> FIRE</button>
          </div>
          <button onClick={() => setPanelOpen(!panelOpen)} className="absolute top-1/2 -left-3 transform -translate-y-1/2 bg-slate-800 border border-slate-700 rounded-full p-1 text-slate-400 hover:text-white">{panelOpen ? <ChevronRight className="w-3 h-3" /> : <ChevronLeft className="w-3 h-3" />}</button>
       </div>
-      <div className="absolute bottom-6 left-6 z-10 flex space-x-2"><button onClick={() => setCameraMode(cameraMode === "FREE" ? "TRACKING" : "FREE")} className="bg-black/60 backdrop-blur hover:bg-black/80 text-white px-3 py-2 rounded-full text-[10px] font-bold border border-white/10 flex items-center transition-all">{cameraMode === "FREE" ? <Eye className="w-3 h-3 mr-2 text-slate-400"/> : <EyeOff className="w-3 h-3 mr-2 text-cyan-400"/>}{cameraMode === "FREE" ? "FREE CAM" : "TRACKING"}</button><div className="bg-black/60 backdrop-blur px-4 py-2 rounded-full text-[10px] text-slate-400 border border-white/10 flex items-center"><MousePointer2 className="w-3 h-3 mr-2" /> DRAG TO ROTATE</div></div>
+      {replayId && engineRef.current && <div className="absolute bottom-6 left-1/2 -translate-x-1/2 z-10"><ReplayControls engine={engineRef.current} label={`#${flightLogs.findIndex(l => l.id === replayId) + 1}`} onClose={stopReplay} /></div>}
+      <div className="absolute bottom-6 left-6 z-10 flex space-x-2"><button onClick={() => setCameraMode(nextCameraMode(cameraMode))} title="Next camera (C)" className="bg-black/60 backdrop-blur hover:bg-black/80 text-white px-3 py-2 rounded-full text-[10px] font-bold border border-white/10 flex items-center transition-all"><Video className={`w-3 h-3 mr-2 ${cameraMode === "FREE" ? "text-slate-400" : "text-cyan-400"}`}/>{CAMERA_MODES.find(m => m.key === cameraMode).label}</button><button onClick={() => setShowPreview(!showPreview)} className="bg-black/60 backdrop-blur hover:bg-black/80 text-white px-3 py-2 rounded-full text-[10px] font-bold border border-white/10 flex items-center transition-all"><Crosshair className={`w-3 h-3 mr-2 ${showPreview ? "text-cyan-400" : "text-slate-400"}`}/>{showPreview ? "GHOST ON" : "GHOST OFF"}</button><div className="bg-black/60 backdrop-blur px-1.5 py-1 rounded-full text-[10px] font-bold border border-white/10 flex items-center space-x-0.5"><button onClick={() => setPaused(!paused)} title={paused ? "Resume" : "Pause"} className={`p-1 rounded-full ${paused ? "text-amber-400" : "text-slate-400 hover:text-white"}`}>{paused ? <Play className="w-3 h-3" /> : <Pause className="w-3 h-3" />}</button>{TIME_SCALES.map(s => <button key={s} onClick={() => { setTimeScale(s); setPaused(false); }} className={`px-1.5 py-1 rounded-full font-mono ${timeScale === s && !paused ? "text-cyan-400" : "text-slate-500 hover:text-white"}`}>{s < 1 ? `1/${1 / s}` : s}×</button>)}</div><div className="bg-black/60 backdrop-blur px-4 py-2 rounded-full text-[10px] text-slate-400 border border-white/10 flex items-center"><MousePointer2 className="w-3 h-3 mr-2" /> {isPlotMode(cameraMode) ? "DRAG TO PAN" : cameraMode === "CHASE" || cameraMode === "IMPACT" ? "AUTO CAMERA" : "DRAG TO ROTATE"}</div><div className="bg-black/60 backdrop-blur px-4 py-2 rounded-full text-[10px] text-slate-500 border border-white/10 flex items-center font-mono"><Keyboard className="w-3 h-3 mr-2" /> F FIRE · R RESET · C CAMERA</div></div>
+      {duel?.status === "ACTIVE" && simState === "READY" && <div className="absolute top-24 left-1/2 -translate-x-1/2 z-10 pointer-events-none bg-black/60 backdrop-blur px-4 py-2 rounded-full text-[10px] font-bold tracking-widest border border-amber-500/40 text-amber-300">{aiTurn ? "AI COMMANDER IS AIMING..." : `${duel.sides[activeSide(duel)].name.toUpperCase()} TO FIRE`}</div>}
       {simState === "IMPACT" && (
          <div className="absolute top-1/2 left-1/2 transform -translate-x-1/2 -translate-y-1/2 pointer-events-none z-0">
-            <div className={`backdrop-blur border px-8 py-4 rounded-xl flex flex-col items-center animate-bounce shadow-2xl ${Math.abs(telemetry.impactError) < 5 ? "bg-emerald-500/20 border-emerald-500 text-emerald-100 shadow-emerald-500/20" : "bg-red-500/20 border-red-500 text-red-100 shadow-red-500/20"}`}>
-               <div className="flex items-center font-bold tracking-widest text-lg mb-1">{Math.abs(telemetry.impactError) < 5 ? <CheckCircle2 className="w-6 h-6 mr-3"/> : <ShieldCheck className="w-6 h-6 mr-3" />} {Math.abs(telemetry.impactError) < 5 ? "TARGET DESTROYED" : "IMPACT CONFIRMED"}</div>
-               <div className="text-xs font-mono opacity-80">ERROR: {Math.abs(telemetry.impactError).toFixed(1)}m</div>
+            <div className={`backdrop-blur border px-8 py-4 rounded-xl flex flex-col items-center animate-bounce shadow-2xl ${onTarget ? "bg-emerald-500/20 border-emerald-500 text-emerald-100 shadow-emerald-500/20" : "bg-red-500/20 border-red-500 text-red-100 shadow-red-500/20"}`}>
+               <div className="flex items-center font-bold tracking-widest text-lg mb-1">{onTarget ? <CheckCircle2 className="w-6 h-6 mr-3"/> : <ShieldCheck className="w-6 h-6 mr-3" />} {targetDestroyed ? "TARGET DESTROYED" : onTarget ? "TARGET HIT" : "IMPACT CONFIRMED"}</div>
+               <div className="text-xs font-mono opacity-80">RANGE ERROR: {telemetry.impactError.toFixed(1)}m | LATERAL: {telemetry.lateralError.toFixed(1)}m</div>
+               {telemetry.dealt > 0 && <div className="text-xs font-mono opacity-80">DAMAGE: {formatEnergy(telemetry.dealt)} | {STRUCTURES[specs.targetStructure].name.toUpperCase()} {(targetIntegrity * 100).toFixed(0)}%</div>}
+               {telemetry.struck && <div className="text-xs font-bold tracking-widest mt-1 uppercase">Struck the {telemetry.struck}</div>}
+               {run && <div className="text-xs font-bold tracking-widest mt-1">{scoreImpact(missDistance, specs.targetRadius).label} +{scoreImpact(missDistance, specs.targetRadius).points}</div>}
             </div>
          </div>
       )}
@@ -441,9 +950,9 @@ export default function CatapultCommanderV24() {
   );
 }
 
-const InputSlider = ({ label, value, min, max, step, onChange, unit, color="text-cyan-400" }) => (
+const InputSlider = ({ label, value, min, max, step, onChange, unit, color="text-cyan-400", digits=1 }) => (
   <div>
-    <div className="flex justify-between text-[10px] mb-2 text-slate-400"><span>{label}</span><span className={`font-mono ${color}`}>{typeof value === "number" ? value.toFixed(1) : value}{unit}</span></div>
+    <div className="flex justify-between text-[10px] mb-2 text-slate-400"><span>{label}</span><span className={`font-mono ${color}`}>{typeof value === "number" ? value.toFixed(digits) : value}{unit}</span></div>
     <input type="range" min={min} max={max} step={step || 1} value={value} onChange={(e) => onChange(parseFloat(e.target.value))} className="w-full h-1 bg-slate-800 rounded-lg appearance-none cursor-pointer accent-cyan-600"/>
   </div>
 );
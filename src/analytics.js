@@ -0,0 +1,55 @@
+// --- Accuracy Analytics ---
+// Pure statistics over flight log entries (see flightLog.js).
+import { isHit } from "./flightLog.js";
+
+export const mean = (xs) => (xs.length ? xs.reduce((a, b) => a + b, 0) / xs.length : 0);
+
+// Sample standard deviation
+export const stddev = (xs) => {
+  if (xs.length < 2) return 0;
+  const m = mean(xs);
+  return Math.sqrt(xs.reduce((sum, x) => sum + (x - m) ** 2, 0) / (xs.length - 1));
+};
+
+export const median = (xs) => {
+  if (!xs.length) return 0;
+  const s = [...xs].sort((a, b) => a - b), mid = s.length >> 1;
+  return s.length % 2 ? s[mid] : (s[mid - 1] + s[mid]) / 2;
+};
+
+// Circular error probable: the radius around the target that holds half of the impacts.
+export const cep = (logs) => median(logs.map(l => l.miss));
+
+export const summarize = (logs) => {
+  const range = logs.map(l => l.error), lateral = logs.map(l => l.lateral);
+  return {
+    count: logs.length,
+    hitRate: logs.length ? logs.filter(isHit).length / logs.length : 0,
+    meanRange: mean(range),
+    sdRange: stddev(range),
+    meanLateral: mean(lateral),
+    sdLateral: stddev(lateral),
+    meanMiss: mean(logs.map(l => l.miss)),
+    cep: cep(logs)
+  };
+};
+
+// Equal-width bins over [min, max]; returns [{ x0, x1, count }].
+export const histogram = (xs, binCount = 12) => {
+  if (!xs.length) return [];
+  let min = Math.min(...xs), max = Math.max(...xs);
+  if (min === max) { min -= 1; max += 1; }
+  const width = (max - min) / binCount;
+  const bins = Array.from({ length: binCount }, (_, i) => ({ x0: min + i * width, x1: min + (i + 1) * width, count: 0 }));
+  xs.forEach(x => bins[Math.min(binCount - 1, Math.floor((x - min) / width))].count++);
+  return bins;
+};
+
+// Rolling hit rate over the last `window` shots, in time order.
+export const hitRateTrend = (logs, window = 10) => {
+  const ordered = [...logs].sort((a, b) => a.id - b.id);
+  return ordered.map((l, i) => {
+    const slice = ordered.slice(Math.max(0, i - window + 1), i + 1);
+    return { id: l.id, shot: i + 1, rate: slice.filter(isHit).length / slice.length };
+  });
+};
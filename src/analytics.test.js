@@ -0,0 +1,63 @@
+import { describe, it, expect } from "vitest";
+import { DEFAULT_SPECS } from "./ballistics.js";
+import { mean, stddev, median, cep, summarize, histogram, hitRateTrend } from "./analytics.js";
+
+// A logged shot with the given errors; hits land inside the default 5 m target radius.
+const shot = (id, error, lateral = 0) => ({ id, error, lateral, miss: Math.hypot(error, lateral), specs: DEFAULT_SPECS });
+
+describe("statistics", () => {
+  it("averages, spreads and takes the middle", () => {
+    expect(mean([2, 4, 9])).toBe(5);
+    expect(stddev([2, 4, 4, 4, 5, 5, 7, 9])).toBeCloseTo(Math.sqrt(32 / 7));
+    expect(median([9, 1, 4])).toBe(4);
+    expect(median([9, 1, 4, 2])).toBe(3);
+  });
+
+  it("is 0 without enough shots to measure", () => {
+    expect(mean([])).toBe(0);
+    expect(median([])).toBe(0);
+    expect(stddev([])).toBe(0);
+    expect(stddev([7])).toBe(0);
+  });
+
+  it("puts the CEP at the median miss", () => {
+    expect(cep([shot(1, 3, 4), shot(2, 1), shot(3, -12)])).toBe(5);
+  });
+});
+
+describe("summarize", () => {
+  it("reports the hit rate and the spread in range and lateral", () => {
+    const s = summarize([shot(1, 2, 1), shot(2, -4, -1), shot(3, 8, 3), shot(4, -6, 1)]);
+    expect(s).toMatchObject({ count: 4, hitRate: 0.5, meanRange: 0, meanLateral: 1 });
+    expect(s.cep).toBeCloseTo((Math.hypot(4, 1) + Math.hypot(6, 1)) / 2);
+    expect(s.sdRange).toBeCloseTo(Math.sqrt(120 / 3));
+    expect(s.meanMiss).toBeCloseTo(mean([2, -4, 8, -6].map((e, i) => Math.hypot(e, [1, -1, 3, 1][i]))));
+  });
+
+  it("summarizes an empty log as zeros", () => {
+    expect(summarize([])).toEqual({ count: 0, hitRate: 0, meanRange: 0, sdRange: 0, meanLateral: 0, sdLateral: 0, meanMiss: 0, cep: 0 });
+  });
+});
+
+describe("histogram", () => {
+  it("bins every value into equal widths over the range", () => {
+    const bins = histogram([0, 1, 2, 3, 4, 10], 5);
+    expect(bins.map(b => b.count)).toEqual([2, 2, 1, 0, 1]);
+    expect(bins[0]).toMatchObject({ x0: 0, x1: 2 });
+    expect(bins[4].x1).toBe(10);
+  });
+
+  it("widens a single value into a bin of its own and has no bins for nothing", () => {
+    expect(histogram([3, 3], 2)).toEqual([{ x0: 2, x1: 3, count: 0 }, { x0: 3, x1: 4, count: 2 }]);
+    expect(histogram([])).toEqual([]);
+  });
+});
+
+describe("hitRateTrend", () => {
+  it("rolls the hit rate over the last shots in time order", () => {
+    const trend = hitRateTrend([shot(3, 9), shot(1, 1), shot(2, 1), shot(4, 9)], 2);
+    expect(trend.map(t => t.id)).toEqual([1, 2, 3, 4]);
+    expect(trend.map(t => t.rate)).toEqual([1, 1, 0.5, 0]);
+    expect(hitRateTrend([])).toEqual([]);
+  });
+});
@@ -0,0 +1,25 @@
+// --- Atmosphere ---
+// Troposphere of the International Standard Atmosphere: temperature falls off
+// linearly with height and pressure follows the barometric formula, so the air
+// thins as a shot climbs. Inputs are the readings a crew would take on site.
+
+export const LAPSE_RATE = 0.0065;    // K/m
+export const STANDARD_GRAVITY = 9.80665;
+const R_AIR = 287.05;                // J/(kg K), specific gas constant of dry air
+const KELVIN = 273.15;
+const EXPONENT = STANDARD_GRAVITY / (R_AIR * LAPSE_RATE);
+
+// `p.temperature` (°C) is read at the firing site, `p.elevation` (m) is the site's
+// height above sea level and `p.pressure` (hPa) is the sea-level (QNH) pressure.
+// Returns temperature (K) and pressure (Pa) at `altitude` m above the site.
+export const airState = (altitude, p) => {
+  const seaLevel = p.temperature + KELVIN + LAPSE_RATE * p.elevation;
+  const temperature = seaLevel - LAPSE_RATE * (p.elevation + altitude);
+  return { temperature, pressure: p.pressure * 100 * (temperature / seaLevel) ** EXPONENT };
+};
+
+// Air density (kg/m^3) at `altitude` m above the firing site.
+export const airDensity = (altitude, p) => {
+  const { temperature, pressure } = airState(altitude, p);
+  return pressure / (R_AIR * temperature);
+};
@@ -0,0 +1,304 @@
+// --- Headless Ballistics Engine ---
+// Pure JS, no DOM / Three.js. The renderer, the solver and Node scripts all
+// step shots through these functions so the animated flight and the solver's
+// prediction are computed by the same code.
+import { airDensity } from "./atmosphere.js";
+import { FLAT_WORLD, groundHeight, obstacleHit } from "./terrain.js";
+import { targetOffset } from "./motion.js";
+import { ENGINE_DEFAULTS, engineFor } from "./engines/index.js";
+import { GRAVITY, DEG } from "./engines/common.js";
+
+export { GRAVITY };
+export const DEFAULT_DT = 0.016;    // s
+export const MAX_STEPS = 3000;
+
+export const DEFAULT_SPECS = {
+  engine: "mangonel", // siege engine type (see engines/)
+  ...ENGINE_DEFAULTS, // each engine's own mechanism specs
+  projMass: 10,       // kg
+  angle: 45,          // deg
+  azimuth: 0,         // deg, catapult traverse
+  targetDist: 150,    // m
+  targetBearing: 0,   // deg
+  targetRadius: 5,    // m
+  targetMotion: "static", // "static" | "linear" | "patrol" | "accelerating" (see motion.js)
+  targetSpeed: 4,     // m/s
+  targetHeading: 90,  // deg, direction the target travels
+  targetSpan: 60,     // m, length of the target's path
+  targetAccel: 0.5,   // m/s^2, accelerating targets only
+  wind: 0,            // m/s
+  windHeading: 0,     // deg, direction the wind blows towards
+  windGust: 0,        // m/s, gust magnitude around the mean wind; 0 disables wind variability
+  drag: 0.47,         // drag coefficient (Cd)
+  diameter: 0.19,     // m, projectile diameter
+  spin: 0,            // rev/s, backspin about the lateral axis (negative is topspin); 0 disables Magnus lift
+  elevation: 0,       // m, firing site above sea level
+  temperature: 15,    // °C, at the firing site
+  pressure: 1013.25,  // hPa, sea-level (QNH) pressure
+  integrator: "euler", // free-flight integration scheme (see INTEGRATORS)
+  targetStructure: "tower" // what stands at the target: "marker" | "tent" | "wall" | "tower" (see structures.js)
+};
+
+// Free-flight integrators. Both step at a fixed dt, so a shot is reproduced exactly from the same
+// specs, gust and dt. RK4 stays accurate at larger steps; the engines' launches are always substepped.
+export const INTEGRATORS = { euler: "Semi-implicit Euler", rk4: "Runge-Kutta 4" };
+
+// --- World Frame ---
+// x is downrange at zero traverse, y is up, z is lateral. Azimuths, bearings and
+// wind headings are in degrees, measured from +x towards +z. Each engine launches in its
+// own firing plane, turned into the world by its traverse (engines/common.js).
+const heading = (deg, length = 1) => ({ x: Math.cos(deg * DEG) * length, y: 0, z: Math.sin(deg * DEG) * length });
+
+// Air velocity. `wind` is the speed, `windHeading` the direction the air is moving towards.
+export const windVector = (p) => heading(p.windHeading || 0, p.wind || 0);
+
+// Specs with the wind vector shifted by (dx, dz) m/s.
+export const withWindOffset = (p, dx, dz) => {
+  const w = windVector(p), x = w.x + dx, z = w.z + dz;
+  return { ...p, wind: Math.hypot(x, z), windHeading: Math.atan2(z, x) / DEG };
+};
+
+// `n` specs with the wind pushed to the edge of the gust disc in evenly spread directions.
+export const gustEnvelope = (p, n = 8) => Array.from({ length: n }, (_, i) => {
+  const a = (2 * Math.PI * i) / n;
+  return withWindOffset(p, p.windGust * Math.cos(a), p.windGust * Math.sin(a));
+});
+
+// Specs with one gust drawn uniformly from the gust disc, for a single fired shot.
+export const sampleGust = (p, rng = Math.random) => {
+  if (!p.windGust) return p;
+  const r = p.windGust * Math.sqrt(rng()), a = 2 * Math.PI * rng();
+  return withWindOffset(p, r * Math.cos(a), r * Math.sin(a));
+};
+
+// Target position `t` seconds into its motion (a static target never moves).
+export const targetPosition = (p, t = 0) => {
+  const start = heading(p.targetBearing || 0, p.targetDist), o = targetOffset(p, t);
+  return { x: start.x + o.x, y: 0, z: start.z + o.z };
+};
+
+// Splits an impact point's miss into range error (along the line to the target, + is long)
+// and lateral error (across it, + is towards +z of that line). `t` is the scenario clock at
+// impact, so a moving target is judged where it actually is when the shot lands.
+export const impactError = (impact, p, t = 0) => {
+  const tgt = targetPosition(p, t), b = Math.atan2(tgt.z, tgt.x);
+  const dx = impact.x - tgt.x, dz = impact.z - tgt.z;
+  return {
+    range: dx * Math.cos(b) + dz * Math.sin(b),
+    lateral: -dx * Math.sin(b) + dz * Math.cos(b),
+    miss: Math.hypot(dx, dz)
+  };
+};
+
+// --- Aerodynamics ---
+export const crossSection = (p) => (Math.PI * p.diameter ** 2) / 4;
+
+// Lift coefficient for a spinning sphere at spin ratio S = r * omega / v: about S for slow
+// spin, levelling off towards 0.5 as the spin grows.
+const liftCoefficient = (spinRatio) => (spinRatio > 0 ? 1 / (2 + 1 / spinRatio) : 0);
+
+// Unit spin axis for backspin: horizontal and square to the firing plane, so (axis x velocity) points up.
+const spinAxis = (p) => {
+  const a = (p.azimuth || 0) * DEG;
+  return { x: -Math.sin(a), y: 0, z: Math.cos(a) };
+};
+
+// A cocked engine: the engine's own launch state (its "rig") plus the payload's motion.
+export const createShot = (p) => {
+  const engine = engineFor(p), rig = engine.load(p);
+  return {
+    phase: "SWING",
+    ...rig,
+    pos: engine.payload(rig, p),
+    vel: { x: 0, y: 0, z: 0 },
+    stalled: false,
+    struck: null,
+    time: 0,
+    releaseTime: 0,
+    flightTime: 0
+  };
+};
+
+// Acceleration in free flight: gravity, drag and Magnus lift on the air-relative velocity,
+// in air as dense as it is at the projectile's height.
+const flightAccel = (pos, vel, p) => {
+  const w = windVector(p);
+  const rx = vel.x - w.x, ry = vel.y, rz = (vel.z || 0) - w.z;
+  const vRel = Math.hypot(rx, ry, rz);
+  const q = (0.5 * airDensity(pos.y, p) * crossSection(p) * vRel) / p.projMass;
+
+  // Fd = 0.5 * rho * Cd * A * vRel^2 along -vRel; per unit relative velocity that is q * Cd
+  const k = q * p.drag;
+
+  // Fl = 0.5 * rho * Cl * A * vRel^2 along (spin axis x vRel); topspin flips the axis
+  let lx = 0, ly = 0, lz = 0;
+  if (p.spin && vRel > 0) {
+    const ratio = (Math.PI * Math.abs(p.spin) * p.diameter) / vRel;   // r * omega / v, omega = 2 pi spin
+    const c = q * liftCoefficient(ratio) * Math.sign(p.spin), a = spinAxis(p);
+    lx = -c * a.z * ry; ly = c * (a.z * rx - a.x * rz); lz = c * a.x * ry;
+  }
+
+  return { x: -k * rx + lx, y: -k * ry + ly - GRAVITY, z: -k * rz + lz };
+};
+
+const along = (v, d, h) => ({ x: v.x + d.x * h, y: v.y + d.y * h, z: (v.z || 0) + d.z * h });
+
+// Integrates one free-flight step with the specs' integrator. Mutates and returns `state`.
+export const stepFlight = (state, p, dt) => {
+  if (p.integrator === "rk4") {
+    const { pos, vel } = state;
+    const a1 = flightAccel(pos, vel, p);
+    const v2 = along(vel, a1, dt / 2), a2 = flightAccel(along(pos, vel, dt / 2), v2, p);
+    const v3 = along(vel, a2, dt / 2), a3 = flightAccel(along(pos, v2, dt / 2), v3, p);
+    const v4 = along(vel, a3, dt), a4 = flightAccel(along(pos, v3, dt), v4, p);
+    const mix = (k1, k2, k3, k4) => (k1 + 2 * k2 + 2 * k3 + k4) * (dt / 6);
+    state.pos = { x: pos.x + mix(vel.x, v2.x, v3.x, v4.x), y: pos.y + mix(vel.y, v2.y, v3.y, v4.y), z: (pos.z || 0) + mix(vel.z || 0, v2.z, v3.z, v4.z) };
+    state.vel = { x: vel.x + mix(a1.x, a2.x, a3.x, a4.x), y: vel.y + mix(a1.y, a2.y, a3.y, a4.y), z: (vel.z || 0) + mix(a1.z, a2.z, a3.z, a4.z) };
+    return state;
+  }
+  // Semi-implicit Euler: the new velocity moves the position
+  const a = flightAccel(state.pos, state.vel, p);
+  state.vel.x += a.x * dt;
+  state.vel.y += a.y * dt;
+  state.vel.z = (state.vel.z || 0) + a.z * dt;
+  state.pos.x += state.vel.x * dt;
+  state.pos.y += state.vel.y * dt;
+  state.pos.z = (state.pos.z || 0) + state.vel.z * dt;
+  return state;
+};
+
+// Advances a shot created by `createShot` through SWING -> FLIGHT -> IMPACT. The engine drives the launch
+// and its own follow-through. In flight the payload lands on the first thing it runs into: the terrain
+// surface or an obstacle (kept in `shot.struck`). A world with a
+// flat `floor` instead of terrain only catches the shot on the way down, so the solver can aim at a
+// target's height with one even when that height is above the launch point.
+export const stepShot = (shot, p, dt, world = FLAT_WORLD) => {
+  const engine = engineFor(p);
+  shot.time += dt;
+  if (shot.phase === "SWING") {
+    engine.launch(shot, p, dt);
+    if (shot.phase === "FLIGHT") shot.releaseTime = shot.time;
+  } else if (shot.phase === "FLIGHT") {
+    shot.flightTime += dt;
+    engine.settle(shot, p, dt);
+    const prev = { ...shot.pos };
+    stepFlight(shot, p, dt);
+    const above = (q) => q.y - groundHeight(world, q.x, q.z);
+    const h0 = above(prev), h1 = above(shot.pos);
+    // Fraction of the step at which the shot meets the ground or an obstacle, so impacts don't snap to the step grid
+    let f = h1 <= 0 && (world.terrain || shot.vel.y < 0) ? (h0 > 0 ? h0 / (h0 - h1) : 0) : null;
+    const hit = world.obstacles.length ? obstacleHit(world.obstacles, prev, shot.pos) : null;
+    if (hit && (f === null || hit.f < f)) { f = hit.f; shot.struck = hit.obstacle; }
+    if (f !== null) {
+      shot.pos = { x: prev.x + (shot.pos.x - prev.x) * f, y: prev.y + (shot.pos.y - prev.y) * f, z: prev.z + (shot.pos.z - prev.z) * f };
+      shot.flightTime -= dt * (1 - f);
+      shot.phase = "IMPACT";
+    }
+  }
+  return shot;
+};
+
+// --- After Impact ---
+// A shot that lands in the open keeps going: each bounce returns a little of the speed into the
+// ground and skids off some of the speed along it, and once it no longer leaves the ground it rolls,
+// pulled downhill and slowed by the ground, until it comes to rest. Anything in its way stops it.
+const RESTITUTION = 0.15;     // share of the speed into the ground a bounce returns
+const SKID = 0.4;             // share of the speed along the ground kept through a bounce
+const MIN_BOUNCE = 2;         // m/s, slower rebounds roll instead
+const ROLL_DRAG = 12;         // m/s^2, rolling resistance on open ground
+const REST_SPEED = 0.2;       // m/s
+const MAX_ROLLOUT = 10;       // s
+
+// Ground gradient (dh/dx, dh/dz) under (x, z).
+const groundSlope = (world, x, z) => {
+  const e = 0.5;
+  return {
+    x: (groundHeight(world, x + e, z) - groundHeight(world, x - e, z)) / (2 * e),
+    z: (groundHeight(world, x, z + e) - groundHeight(world, x, z - e)) / (2 * e)
+  };
+};
+
+const bounce = (r, world) => {
+  const s = groundSlope(world, r.pos.x, r.pos.z), len = Math.hypot(s.x, 1, s.z);
+  const n = { x: -s.x / len, y: 1 / len, z: -s.z / len };
+  const vn = r.vel.x * n.x + r.vel.y * n.y + r.vel.z * n.z, rebound = -vn * RESTITUTION;
+  r.rolling = rebound < MIN_BOUNCE;
+  const off = r.rolling ? 0 : rebound;
+  r.vel = { x: (r.vel.x - vn * n.x) * SKID + n.x * off, y: (r.vel.y - vn * n.y) * SKID + n.y * off, z: (r.vel.z - vn * n.z) * SKID + n.z * off };
+  if (r.rolling) r.vel.y = 0;
+  return r;
+};
+
+// Rollout of a shot that has just hit the ground, or null if it struck an obstacle and stopped there.
+export const createRollout = (shot, world = FLAT_WORLD) =>
+  shot.struck ? null : bounce({ pos: { ...shot.pos }, vel: { ...shot.vel }, rolling: false, resting: false, time: 0, struck: null }, world);
+
+// Advances a rollout by `dt`. Mutates and returns `r`; `r.resting` once it has stopped, `r.struck` if it ran into something.
+export const stepRollout = (r, dt, world = FLAT_WORLD) => {
+  if (r.resting) return r;
+  r.time += dt;
+  const prev = { ...r.pos };
+  if (r.rolling) {
+    const s = groundSlope(world, r.pos.x, r.pos.z), speed = Math.hypot(r.vel.x, r.vel.z);
+    const drag = Math.min(speed, ROLL_DRAG * dt) / (speed || 1);
+    r.vel.x += -GRAVITY * s.x * dt - r.vel.x * drag;
+    r.vel.z += -GRAVITY * s.z * dt - r.vel.z * drag;
+    r.pos.x += r.vel.x * dt;
+    r.pos.z += r.vel.z * dt;
+    r.pos.y = groundHeight(world, r.pos.x, r.pos.z);
+    r.resting = Math.hypot(r.vel.x, r.vel.z) < REST_SPEED && Math.hypot(s.x, s.z) * GRAVITY < ROLL_DRAG;
+  } else {
+    r.vel.y -= GRAVITY * dt;
+    r.pos.x += r.vel.x * dt;
+    r.pos.y += r.vel.y * dt;
+    r.pos.z += r.vel.z * dt;
+    const ground = groundHeight(world, r.pos.x, r.pos.z);
+    if (r.pos.y <= ground && r.vel.y < 0) { r.pos.y = ground; bounce(r, world); }
+  }
+  const hit = world.obstacles.length ? obstacleHit(world.obstacles, prev, r.pos) : null;
+  if (hit) {
+    r.pos = { x: prev.x + (r.pos.x - prev.x) * hit.f, y: prev.y + (r.pos.y - prev.y) * hit.f, z: prev.z + (r.pos.z - prev.z) * hit.f };
+    r.struck = hit.obstacle;
+    r.resting = true;
+  }
+  if (r.time >= MAX_ROLLOUT) r.resting = true;
+  return r;
+};
+
+/**
+ * Runs a complete shot headlessly.
+ *
+ * @param {object} specs  siege engine + environment specs (same shape as the App's `specs` state)
+ * @param {object} [options]
+ * @param {number} [options.dt=DEFAULT_DT]       integration step, s
+ * @param {number} [options.maxSteps=MAX_STEPS]  safety cap on flight steps
+ * @param {number} [options.sampleEvery=1]       keep every n-th flight step in `trajectory`
+ * @param {object} [options.world=FLAT_WORLD]    terrain and obstacles to collide with (see terrain.js)
+ * @returns {{ trajectory: {x,y,z,t}[], impact: {x,y,z}|null, flightTime: number, releaseTime: number, apex: {x,y,z}, struck: object|null }}
+ *   `impact` is null when the projectile has not landed within `maxSteps`; `struck` is the obstacle it hit, if any.
+ *   The shot lands `releaseTime + flightTime` seconds after it is fired.
+ */
+export const simulate = (specs, { dt = DEFAULT_DT, maxSteps = MAX_STEPS, sampleEvery = 1, world = FLAT_WORLD } = {}) => {
+  const shot = createShot(specs);
+  while (shot.phase === "SWING") stepShot(shot, specs, dt, world);
+
+  const point = () => ({ x: shot.pos.x, y: shot.pos.y, z: shot.pos.z, t: shot.flightTime });
+  const trajectory = [point()];
+  let apex = point();
+
+  for (let i = 1; i <= maxSteps && shot.phase === "FLIGHT"; i++) {
+    stepShot(shot, specs, dt, world);
+    if (shot.pos.y > apex.y) apex = point();
+    if (i % sampleEvery === 0 || shot.phase !== "FLIGHT") trajectory.push(point());
+  }
+
+  const landed = shot.phase === "IMPACT";
+  return {
+    trajectory,
+    impact: landed ? { x: shot.pos.x, y: shot.pos.y, z: shot.pos.z } : null,
+    flightTime: shot.flightTime,
+    releaseTime: shot.releaseTime,
+    apex: { x: apex.x, y: apex.y, z: apex.z },
+    struck: shot.struck
+  };
+};
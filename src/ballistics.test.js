@@ -0,0 +1,81 @@
+import { describe, it, expect } from "vitest";
+import { simulate, createShot, stepShot, createRollout, stepRollout, DEFAULT_SPECS, GRAVITY } from "./ballistics.js";
+import { createObstacle } from "./terrain.js";
+
+const still = { ...DEFAULT_SPECS, wind: 0, windGust: 0 };
+
+// The payload's position and velocity as it leaves the engine.
+const release = (p, dt) => {
+  const shot = createShot(p);
+  while (shot.phase === "SWING") stepShot(shot, p, dt);
+  return shot;
+};
+
+describe("simulate", () => {
+  it("matches the vacuum range without drag", () => {
+    const p = { ...still, drag: 0 }, dt = 0.001;
+    const { pos, vel } = release(p, dt);
+    // v²·sin2θ/g, extended to a release point `pos.y` above the ground
+    const flight = (vel.y + Math.sqrt(vel.y ** 2 + 2 * GRAVITY * pos.y)) / GRAVITY;
+    const { impact } = simulate(p, { dt, maxSteps: 100000 });
+    expect(impact.x).toBeCloseTo(pos.x + vel.x * flight, 0);
+    expect(impact.z).toBeCloseTo(0, 6);
+  });
+
+  it("falls short into a headwind and carries further with a tailwind", () => {
+    const calm = simulate(still).impact.x;
+    expect(simulate({ ...still, wind: 10, windHeading: 180 }).impact.x).toBeLessThan(calm);
+    expect(simulate({ ...still, wind: 10, windHeading: 0 }).impact.x).toBeGreaterThan(calm);
+  });
+
+  it("drifts with a crosswind", () => {
+    expect(simulate({ ...still, wind: 10, windHeading: 90 }).impact.z).toBeGreaterThan(0.5);
+    expect(simulate({ ...still, wind: 10, windHeading: -90 }).impact.z).toBeLessThan(-0.5);
+  });
+
+  it("interpolates the impact onto the ground", () => {
+    const { impact, trajectory } = simulate(still);
+    expect(impact.y).toBeCloseTo(0, 9);
+    expect(trajectory[trajectory.length - 1]).toMatchObject(impact);
+  });
+
+  it("repeats an RK4 shot bit for bit and lands it close to Euler's", () => {
+    const p = { ...DEFAULT_SPECS, integrator: "rk4" };
+    const a = simulate(p), b = simulate({ ...p });
+    expect(a).toEqual(b);
+    expect(a.impact.x).toBeCloseTo(simulate(DEFAULT_SPECS).impact.x, -1);
+  });
+
+  it("reports no impact when the step limit runs out", () => {
+    const run = simulate(still, { maxSteps: 5 });
+    expect(run.impact).toBeNull();
+    expect(run.trajectory).toHaveLength(6);
+  });
+});
+
+describe("rollout", () => {
+  // A shot landing at speed `vx` along the ground
+  const landed = (vx, struck = null) => ({ pos: { x: 100, y: 0, z: 0 }, vel: { x: vx, y: -20, z: 0 }, struck });
+  const settle = (r, world) => {
+    while (!r.resting) stepRollout(r, 0.016, world);
+    return r;
+  };
+
+  it("rolls on past the impact and comes to rest", () => {
+    const r = settle(createRollout(landed(20)));
+    expect(r.pos.x).toBeGreaterThan(100);
+    expect(r.pos.y).toBe(0);
+    expect(r.struck).toBeNull();
+  });
+
+  it("stops against an obstacle", () => {
+    const world = { terrain: null, obstacles: [createObstacle("wall", 102, 0, { width: 20, depth: 1, height: 3, rotation: 90 })] };
+    const r = settle(createRollout(landed(20), world), world);
+    expect(r.pos.x).toBeCloseTo(101.5);
+    expect(r.struck.kind).toBe("wall");
+  });
+
+  it("does not roll a shot that struck something", () => {
+    expect(createRollout(landed(20, { kind: "tower" }))).toBeNull();
+  });
+});
@@ -0,0 +1,219 @@
+// --- Camera Director ---
+// Every view of the scene, switched without rebuilding it. THREE is passed in (the app loads it
+// from a CDN at runtime). FREE and TRACKING orbit a point, CHASE follows the shot and IMPACT
+// watches it come in from beside the target. SIDE and TOP are orthographic plots of the firing
+// plane and of the field, drawn with range markings every RANGE_STEP metres.
+const RANGE_STEP = 50;    // m between range markings
+const RANGE_MAX = 600;    // m, farthest marking
+const PLOT_DISTANCE = 800; // m, how far the orthographic camera stands off its plot
+const SIDE_DEPTH = 40;    // m, the side profile shows this far in front of the firing plane
+
+export const CAMERA_MODES = [
+  { key: "FREE", label: "FREE CAM" },
+  { key: "TRACKING", label: "TRACKING" },
+  { key: "CHASE", label: "CHASE CAM" },
+  { key: "IMPACT", label: "IMPACT CAM" },
+  { key: "SIDE", label: "SIDE PROFILE" },
+  { key: "TOP", label: "TOP DOWN" }
+];
+
+export const isPlotMode = (mode) => mode === "SIDE" || mode === "TOP";
+
+// The mode `step` places along CAMERA_MODES, wrapping round.
+export const nextCameraMode = (mode, step = 1) => {
+  const i = CAMERA_MODES.findIndex(m => m.key === mode);
+  return CAMERA_MODES[(i + step + CAMERA_MODES.length) % CAMERA_MODES.length].key;
+};
+
+// A text label that always faces the camera; the caller scales it.
+const label = (THREE, text, color) => {
+  const canvas = document.createElement("canvas");
+  canvas.width = 128; canvas.height = 48;
+  const ctx = canvas.getContext("2d");
+  ctx.font = "bold 30px monospace"; ctx.fillStyle = color; ctx.textAlign = "center"; ctx.textBaseline = "middle";
+  ctx.fillText(text, 64, 24);
+  const sprite = new THREE.Sprite(new THREE.SpriteMaterial({ map: new THREE.CanvasTexture(canvas), depthTest: false, transparent: true }));
+  sprite.renderOrder = 1;
+  return sprite;
+};
+
+// Range markings in the firing frame (x downrange): rings and labels for TOP, a range and height grid for SIDE.
+const buildMarkings = (THREE) => {
+  const major = new THREE.LineBasicMaterial({ color: 0x22d3ee, transparent: true, opacity: 0.5 });
+  const minor = new THREE.LineBasicMaterial({ color: 0x22d3ee, transparent: true, opacity: 0.15 });
+  const line = (points, mat) => new THREE.Line(new THREE.BufferGeometry().setFromPoints(points.map(([x, y, z]) => new THREE.Vector3(x, y, z))), mat);
+  const steps = Array.from({ length: RANGE_MAX / RANGE_STEP }, (_, i) => (i + 1) * RANGE_STEP);
+  const labels = [];
+  const tag = (text, x, y, z) => { const s = label(THREE, text, "#67e8f9"); s.position.set(x, y, z); labels.push(s); return s; };
+
+  const top = new THREE.Group();
+  steps.forEach(r => {
+    const ring = Array.from({ length: 97 }, (_, i) => [r * Math.cos(i / 96 * 2 * Math.PI), 0.5, r * Math.sin(i / 96 * 2 * Math.PI)]);
+    top.add(line(ring, r % 100 ? minor : major), tag(`${r}m`, r, 1, 0));
+  });
+  top.add(line([[0, 0.5, 0], [RANGE_MAX, 0.5, 0]], major));
+
+  const side = new THREE.Group();
+  steps.forEach(r => {
+    side.add(line([[r, 0, 0], [r, RANGE_MAX / 2, 0]], r % 100 ? minor : major), tag(`${r}m`, r, -6, 0));
+    if (r <= RANGE_MAX / 2) side.add(line([[0, r, 0], [RANGE_MAX, r, 0]], minor), tag(`${r}m`, -14, r, 0));
+  });
+  side.add(line([[0, 0, 0], [RANGE_MAX, 0, 0]], major));
+  top.visible = side.visible = false;
+  return { top, side, labels };
+};
+
+/**
+ * Creates the director and adds its range markings to the scene.
+ *
+ * @param {object} THREE
+ * @param {object} scene  its fog is lifted for the orthographic plots, which stand far off
+ * @param {number} aspect  viewport width / height
+ * @returns {{ active, setMode, resize, drag, zoom, attach, update }}  `active()` is the camera to render with;
+ *   `update(view)` moves it once per frame
+ */
+export const createCameraDirector = (THREE, scene, aspect) => {
+  const perspective = new THREE.PerspectiveCamera(45, aspect, 0.1, 5000);
+  perspective.position.set(-50, 40, 0); perspective.lookAt(0, 10, 0);
+  const ortho = new THREE.OrthographicCamera(-1, 1, 1, -1, 1, PLOT_DISTANCE * 3);
+  const fog = scene.fog;
+  const markings = buildMarkings(THREE);
+  scene.add(markings.top, markings.side);
+
+  const orbit = { radius: 80, theta: Math.PI/4, phi: Math.PI/3, center: new THREE.Vector3(0, 10, 0) };
+  const plot = { zoom: 1, pan: new THREE.Vector2(), width: 1 };
+  // Follow cams ease towards where they want to be, and remember which way the shot was last heading
+  const follow = { look: new THREE.Vector3(0, 10, 0), heading: new THREE.Vector3(1, 0, 0), last: null };
+  let mode = "FREE", ratio = aspect;
+
+  const setMode = (next) => {
+    mode = next;
+    plot.zoom = 1; plot.pan.set(0, 0);
+    scene.fog = isPlotMode(mode) ? null : fog;
+    markings.top.visible = mode === "TOP";
+    markings.side.visible = mode === "SIDE";
+  };
+
+  const resize = (next) => { ratio = next; perspective.aspect = next; perspective.updateProjectionMatrix(); };
+
+  // A drag of (dx, dy) pixels over a viewport `px` pixels wide: orbits, or pans a plot
+  const drag = (dx, dy, px) => {
+    if (isPlotMode(mode)) { const m = plot.width / px; plot.pan.x -= dx * m; plot.pan.y += dy * m; return; }
+    orbit.theta -= dx * 0.005;
+    orbit.phi = Math.max(0.1, Math.min(Math.PI/2 - 0.1, orbit.phi - dy * 0.005));
+  };
+
+  // Scales the view distance (or a plot's extent) by `factor`; above 1 zooms out
+  const zoom = (factor) => {
+    if (isPlotMode(mode)) plot.zoom = Math.max(0.1, Math.min(4, plot.zoom * factor));
+    else orbit.radius = Math.max(20, Math.min(400, orbit.radius * factor));
+  };
+
+  // Mouse and touch input on the canvas: one pointer drags, two pinch. Returns a function that removes it.
+  const attach = (element) => {
+    const pointers = new Map();
+    let pinch = null;
+    const spread = () => { const [a, b] = [...pointers.values()]; return Math.hypot(a.x - b.x, a.y - b.y); };
+    const down = (e) => {
+      element.setPointerCapture(e.pointerId);
+      pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+      pinch = pointers.size === 2 ? spread() : null;
+    };
+    const move = (e) => {
+      const prev = pointers.get(e.pointerId);
+      if (!prev) return;
+      const dx = e.clientX - prev.x, dy = e.clientY - prev.y;
+      pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+      if (pointers.size === 1) drag(dx, dy, element.clientWidth);
+      else if (pinch) { const d = spread(); if (d > 0) zoom(pinch / d); pinch = d; }
+    };
+    const up = (e) => { pointers.delete(e.pointerId); pinch = pointers.size === 2 ? spread() : null; };
+    const wheel = (e) => { e.preventDefault(); zoom(Math.exp(e.deltaY * 0.0012)); };
+    element.style.touchAction = "none";
+    element.addEventListener("pointerdown", down);
+    element.addEventListener("pointermove", move);
+    element.addEventListener("pointerup", up);
+    element.addEventListener("pointercancel", up);
+    element.addEventListener("wheel", wheel, { passive: false });
+    return () => {
+      element.removeEventListener("pointerdown", down);
+      element.removeEventListener("pointermove", move);
+      element.removeEventListener("pointerup", up);
+      element.removeEventListener("pointercancel", up);
+      element.removeEventListener("wheel", wheel);
+    };
+  };
+
+  const ease = (position, look, rate) => {
+    perspective.position.lerp(position, rate);
+    follow.look.lerp(look, rate);
+    perspective.lookAt(follow.look);
+  };
+
+  /**
+   * @param {object} view
+   * @param {object|null} view.subject  the shot in flight or being replayed (Vector3), null when there is none
+   * @param {object} view.target  where the target stands (Vector3)
+   * @param {number} view.reach  m, the farthest of the target and the shot from the catapult
+   */
+  const update = ({ subject, target, reach }) => {
+    const f = new THREE.Vector3(target.x, 0, target.z).normalize();
+    if (f.lengthSq() === 0) f.set(1, 0, 0);
+    const across = new THREE.Vector3(-f.z, 0, f.x);
+    if (!subject) follow.heading.copy(f);
+    else if (follow.last && subject.distanceToSquared(follow.last) > 1e-4) follow.heading.subVectors(subject, follow.last).normalize();
+    follow.last = subject ? subject.clone() : null;
+
+    if (isPlotMode(mode)) {
+      const heading = Math.atan2(f.z, f.x);
+      const width = plot.zoom * Math.max(150, reach * 1.3), height = width / ratio;
+      plot.width = width;
+      const center = new THREE.Vector3();
+      if (mode === "SIDE") {
+        // Seen from the left of the line of fire, downrange to the right. The near plane cuts away
+        // whatever stands between the camera and the firing plane, so ridges don't hide the arc.
+        center.copy(f).multiplyScalar(reach / 2 + plot.pan.x).setY(height / 2 - 15 + plot.pan.y);
+        ortho.up.set(0, 1, 0);
+        ortho.position.copy(center).addScaledVector(across, PLOT_DISTANCE);
+        ortho.near = PLOT_DISTANCE - SIDE_DEPTH; ortho.far = PLOT_DISTANCE + 2 * RANGE_MAX;
+        markings.side.rotation.y = -heading;
+      } else {
+        // Downrange points up the screen
+        center.copy(f).multiplyScalar(reach / 2 + plot.pan.y).addScaledVector(across, plot.pan.x);
+        ortho.up.copy(f);
+        ortho.position.copy(center).setY(PLOT_DISTANCE);
+        ortho.near = 1; ortho.far = 2 * PLOT_DISTANCE;
+        markings.top.rotation.y = -heading;
+      }
+      ortho.left = -width / 2; ortho.right = width / 2; ortho.top = height / 2; ortho.bottom = -height / 2;
+      ortho.updateProjectionMatrix();
+      ortho.lookAt(center);
+      markings.labels.forEach(s => s.scale.set(width * 0.05, width * 0.019, 1));
+      return;
+    }
+
+    if (mode === "CHASE") {
+      // Behind and above the shot, looking where it is going; before a shot, over the catapult's shoulder
+      if (subject) ease(subject.clone().addScaledVector(follow.heading, -25).add(new THREE.Vector3(0, 6, 0)), subject.clone().addScaledVector(follow.heading, 20), 0.15);
+      else ease(f.clone().multiplyScalar(-30).setY(16), f.clone().multiplyScalar(80), 0.1);
+      return;
+    }
+    if (mode === "IMPACT") {
+      // Off to one side just past the target, watching the shot come in
+      const stand = target.clone().addScaledVector(f, 25).addScaledVector(across, 30).setY(target.y + 10);
+      ease(stand, subject ?? target, 0.1);
+      return;
+    }
+
+    orbit.center.lerp(mode === "TRACKING" && subject ? subject : new THREE.Vector3(0, 10, 0), 0.1);
+    perspective.position.set(
+      orbit.center.x + orbit.radius * Math.sin(orbit.phi) * Math.sin(orbit.theta),
+      orbit.center.y + orbit.radius * Math.cos(orbit.phi),
+      orbit.center.z + orbit.radius * Math.sin(orbit.phi) * Math.cos(orbit.theta)
+    );
+    perspective.lookAt(orbit.center);
+    follow.look.copy(orbit.center);
+  };
+
+  return { active: () => (isPlotMode(mode) ? ortho : perspective), setMode, resize, drag, zoom, attach, update };
+};
@@ -0,0 +1,17 @@
+import { describe, it, expect } from "vitest";
+import { CAMERA_MODES, nextCameraMode, isPlotMode } from "./cameraDirector.js";
+
+describe("camera modes", () => {
+  it("cycles through every mode both ways", () => {
+    expect(nextCameraMode("FREE")).toBe("TRACKING");
+    expect(nextCameraMode("TOP")).toBe("FREE");
+    expect(nextCameraMode("FREE", -1)).toBe("TOP");
+    let mode = "FREE";
+    const seen = CAMERA_MODES.map(() => (mode = nextCameraMode(mode)));
+    expect(new Set(seen).size).toBe(CAMERA_MODES.length);
+  });
+
+  it("plots only the side and top views", () => {
+    expect(CAMERA_MODES.filter(m => isPlotMode(m.key)).map(m => m.key)).toEqual(["SIDE", "TOP"]);
+  });
+});
@@ -0,0 +1,94 @@
+import React, { useMemo } from "react";
+import { summarize, histogram, hitRateTrend } from "../analytics.js";
+import { isHit } from "../flightLog.js";
+
+const W = 250, H = 110, PAD = { l: 28, r: 6, t: 8, b: 18 };
+
+const scale = (v, d0, d1, r0, r1) => (d1 === d0 ? (r0 + r1) / 2 : r0 + ((v - d0) / (d1 - d0)) * (r1 - r0));
+const extent = (xs, pad = 0) => {
+  const lo = Math.min(...xs), hi = Math.max(...xs), m = (hi - lo) * pad || 1;
+  return [lo - m, hi + m];
+};
+const fmt = (n) => (Math.abs(n) >= 100 ? n.toFixed(0) : n.toFixed(1));
+
+// Tailwind (+) / headwind (-) component along the target bearing.
+const alongWind = (log) => log.specs.wind * Math.cos(((log.specs.windHeading - log.specs.targetBearing) * Math.PI) / 180);
+
+const Frame = ({ title, xDomain, yDomain, xLabel, children }) => (
+  <div className="bg-slate-950 border border-slate-800 rounded p-2">
+    <div className="text-[9px] font-bold text-slate-500 uppercase mb-1">{title}</div>
+    <svg width={W} height={H} className="block">
+      <line x1={PAD.l} y1={H - PAD.b} x2={W - PAD.r} y2={H - PAD.b} stroke="#334155" />
+      <line x1={PAD.l} y1={PAD.t} x2={PAD.l} y2={H - PAD.b} stroke="#334155" />
+      <text x={PAD.l - 3} y={PAD.t + 6} fontSize="8" fill="#64748b" textAnchor="end">{fmt(yDomain[1])}</text>
+      <text x={PAD.l - 3} y={H - PAD.b} fontSize="8" fill="#64748b" textAnchor="end">{fmt(yDomain[0])}</text>
+      <text x={PAD.l} y={H - 4} fontSize="8" fill="#64748b">{fmt(xDomain[0])}</text>
+      <text x={W - PAD.r} y={H - 4} fontSize="8" fill="#64748b" textAnchor="end">{fmt(xDomain[1])}</text>
+      <text x={(W + PAD.l) / 2} y={H - 4} fontSize="8" fill="#475569" textAnchor="middle">{xLabel}</text>
+      {children}
+    </svg>
+  </div>
+);
+
+const Histogram = ({ values }) => {
+  const bins = histogram(values);
+  const xDomain = [bins[0].x0, bins[bins.length - 1].x1], yDomain = [0, Math.max(...bins.map(b => b.count))];
+  const sx = (v) => scale(v, xDomain[0], xDomain[1], PAD.l, W - PAD.r), sy = (v) => scale(v, yDomain[0], yDomain[1], H - PAD.b, PAD.t);
+  return (
+    <Frame title="Range Error Histogram" xDomain={xDomain} yDomain={yDomain} xLabel="error (m)">
+      {bins.map((b, i) => <rect key={i} x={sx(b.x0) + 0.5} y={sy(b.count)} width={Math.max(0, sx(b.x1) - sx(b.x0) - 1)} height={H - PAD.b - sy(b.count)} fill="#10b981" opacity="0.7" />)}
+      {xDomain[0] < 0 && xDomain[1] > 0 && <line x1={sx(0)} y1={PAD.t} x2={sx(0)} y2={H - PAD.b} stroke="#ef4444" strokeDasharray="2 2" />}
+    </Frame>
+  );
+};
+
+const Scatter = ({ title, logs, x, xLabel }) => {
+  const xs = logs.map(x), ys = logs.map(l => l.error);
+  const xDomain = extent(xs, 0.05), yDomain = extent([...ys, 0], 0.1);
+  const sx = (v) => scale(v, xDomain[0], xDomain[1], PAD.l, W - PAD.r), sy = (v) => scale(v, yDomain[0], yDomain[1], H - PAD.b, PAD.t);
+  return (
+    <Frame title={title} xDomain={xDomain} yDomain={yDomain} xLabel={xLabel}>
+      <line x1={PAD.l} y1={sy(0)} x2={W - PAD.r} y2={sy(0)} stroke="#ef4444" strokeDasharray="2 2" />
+      {logs.map((l, i) => <circle key={l.id} cx={sx(xs[i])} cy={sy(ys[i])} r="2.5" fill={isHit(l) ? "#10b981" : "#f87171"} opacity="0.8" />)}
+    </Frame>
+  );
+};
+
+const Trend = ({ logs }) => {
+  const trend = hitRateTrend(logs);
+  const xDomain = [1, Math.max(2, trend.length)], yDomain = [0, 1];
+  const sx = (v) => scale(v, xDomain[0], xDomain[1], PAD.l, W - PAD.r), sy = (v) => scale(v, yDomain[0], yDomain[1], H - PAD.b, PAD.t);
+  return (
+    <Frame title="Hit Rate Trend (last 10 shots)" xDomain={xDomain} yDomain={yDomain} xLabel="shot #">
+      <polyline points={trend.map(t => `${sx(t.shot)},${sy(t.rate)}`).join(" ")} fill="none" stroke="#0ea5e9" strokeWidth="1.5" />
+      {trend.map(t => <circle key={t.id} cx={sx(t.shot)} cy={sy(t.rate)} r="1.5" fill="#0ea5e9" />)}
+    </Frame>
+  );
+};
+
+const Stat = ({ label, value }) => (
+  <div className="bg-black/50 p-2 rounded"><div className="text-slate-500">{label}</div><div className="text-white">{value}</div></div>
+);
+
+export default function AccuracyDashboard({ logs }) {
+  const stats = useMemo(() => summarize(logs), [logs]);
+  if (!logs.length) return <div className="text-center text-slate-600 text-[10px] py-10 italic">No flight data to analyse.</div>;
+  return (
+    <div className="space-y-2">
+      <div className="grid grid-cols-3 gap-1.5 text-[10px] font-mono text-center">
+        <Stat label="SHOTS" value={stats.count} />
+        <Stat label="HIT RATE" value={`${(stats.hitRate * 100).toFixed(0)}%`} />
+        <Stat label="CEP50" value={`${stats.cep.toFixed(1)}m`} />
+        <Stat label="MEAN R" value={`${stats.meanRange.toFixed(1)}m`} />
+        <Stat label="σ R" value={`${stats.sdRange.toFixed(1)}m`} />
+        <Stat label="MEAN MISS" value={`${stats.meanMiss.toFixed(1)}m`} />
+        <Stat label="MEAN L" value={`${stats.meanLateral.toFixed(1)}m`} />
+        <Stat label="σ L" value={`${stats.sdLateral.toFixed(1)}m`} />
+      </div>
+      <Histogram values={logs.map(l => l.error)} />
+      <Scatter title="Range Error vs Wind" logs={logs} x={alongWind} xLabel="tailwind + / headwind - (m/s)" />
+      <Scatter title="Range Error vs Target Distance" logs={logs} x={l => l.specs.targetDist} xLabel="target distance (m)" />
+      <Trend logs={logs} />
+    </div>
+  );
+}
@@ -0,0 +1,33 @@
+import React from "react";
+
+const W = 250, H = 170, PAD = 10;
+
+// Impacts of a dispersion run relative to the target: lateral across, range error up (long is up).
+// The solid ring is the target radius and the dashed ring the CEP.
+export default function DispersionPlot({ result, radius }) {
+  const { impacts, hitProbability, cep, mean, shots } = result;
+  // Scaled to hold 95% of the impacts; the wildest few fall off the edge
+  const spread = impacts.map(s => Math.max(Math.abs(s.range), Math.abs(s.lateral))).sort((a, b) => a - b);
+  const reach = Math.max(radius * 1.5, cep * 1.5, spread[Math.floor(spread.length * 0.95)] || 0);
+  const k = (Math.min(W, H) / 2 - PAD) / reach, cx = W / 2, cy = H / 2;
+  const lost = shots - impacts.length;
+  return (
+    <div className="space-y-2">
+      <div className="grid grid-cols-3 gap-1.5 text-center font-mono">
+        <div className="bg-slate-900 rounded p-1.5"><div className="text-[8px] text-slate-500">P(HIT)</div><div className={`text-[11px] font-bold ${hitProbability >= 0.5 ? "text-emerald-400" : "text-red-400"}`}>{(hitProbability * 100).toFixed(1)}%</div></div>
+        <div className="bg-slate-900 rounded p-1.5"><div className="text-[8px] text-slate-500">CEP50</div><div className="text-[11px] font-bold text-cyan-300">{cep.toFixed(1)}m</div></div>
+        <div className="bg-slate-900 rounded p-1.5"><div className="text-[8px] text-slate-500">MEAN</div><div className="text-[10px] font-bold text-slate-300">{mean.range > 0 ? "+" : ""}{mean.range.toFixed(1)} / {mean.lateral > 0 ? "+" : ""}{mean.lateral.toFixed(1)}</div></div>
+      </div>
+      <svg width={W} height={H} className="block mx-auto bg-slate-900/50 rounded">
+        <line x1={0} y1={cy} x2={W} y2={cy} stroke="#1e293b" />
+        <line x1={cx} y1={0} x2={cx} y2={H} stroke="#1e293b" />
+        <circle cx={cx} cy={cy} r={radius * k} fill="none" stroke="#ef4444" />
+        <circle cx={cx} cy={cy} r={cep * k} fill="none" stroke="#0ea5e9" strokeDasharray="3 2" />
+        {impacts.map((s, i) => <circle key={i} cx={cx + s.lateral * k} cy={cy - s.range * k} r="1.5" fill={s.hit ? "#10b981" : "#f87171"} opacity="0.7" />)}
+        <path d={`M${cx + mean.lateral * k - 4},${cy - mean.range * k}h8M${cx + mean.lateral * k},${cy - mean.range * k - 4}v8`} stroke="#facc15" />
+        <text x={W - 4} y={H - 4} fontSize="8" fill="#64748b" textAnchor="end">±{reach.toFixed(0)}m</text>
+      </svg>
+      <div className="text-[9px] text-slate-500">{shots} shots. MEAN is the average range / lateral error (m).{lost ? ` ${lost} never landed and count as misses.` : ""}</div>
+    </div>
+  );
+}
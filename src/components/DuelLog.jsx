@@ -0,0 +1,34 @@
+import React from "react";
+import { Trophy, Swords, RotateCcw, Hash } from "lucide-react";
+import { DUEL_MODES, DIFFICULTIES } from "../duel.js";
+import { integrity, formatEnergy } from "../structures.js";
+
+export default function DuelLog({ duel, onRematch, onClose }) {
+  const over = duel.status === "COMPLETE";
+  const winner = over && duel.winner !== null ? duel.sides[duel.winner] : null;
+  return (
+    <div className={`p-3 bg-slate-950 rounded border space-y-3 ${over ? "border-amber-500/50" : "border-slate-800"}`}>
+      <div className="flex justify-between items-center text-[10px] font-bold uppercase"><span className="text-slate-500">Duel Log — {DUEL_MODES[duel.mode]}{duel.mode === "ai" && ` (${DIFFICULTIES[duel.difficulty].name})`}</span>{over ? <Trophy className="w-3 h-3 text-amber-400" /> : <Swords className="w-3 h-3 text-slate-600" />}</div>
+      {over && <div className="text-center space-y-1">
+        <div className="font-bold tracking-widest text-sm text-amber-300">{winner ? `${winner.name.toUpperCase()} WINS` : "DRAW"}</div>
+        <div className="text-[10px] font-mono text-slate-500">{duel.log.length} shots | {duel.sides.map(s => `${s.name} ${(integrity(s.structure) * 100).toFixed(0)}%`).join(" | ")}</div>
+      </div>}
+      {duel.log.length === 0 ? <div className="text-center text-slate-600 text-[10px] py-4 italic">No shots fired yet.</div> : <div className="space-y-1 max-h-[320px] overflow-y-auto">
+        {[...duel.log].reverse().map(entry => (
+          <div key={entry.turn} className="flex justify-between text-[10px] font-mono bg-black/30 px-2 py-1 rounded">
+            <span className="text-slate-500">#{entry.turn} <span className={entry.side ? "text-red-400" : "text-cyan-400"}>{duel.sides[entry.side].name}</span></span>
+            <span className="text-slate-400">{entry.miss.toFixed(1)}m</span>
+            <span className={entry.dealt > 0 ? "text-amber-300" : "text-slate-600"}>{entry.dealt > 0 ? formatEnergy(entry.dealt) : "—"}</span>
+            <span className="text-slate-500">{entry.wind.speed}m/s</span>
+            <span className="text-white">{(entry.health * 100).toFixed(0)}%</span>
+          </div>
+        ))}
+      </div>}
+      <div className="text-[9px] text-slate-600 font-mono flex items-center"><Hash className="w-3 h-3 mr-1" />SEED {duel.seed} | {duel.distance}m</div>
+      {over && <div className="grid grid-cols-2 gap-2">
+        <button onClick={onRematch} className="py-2 rounded text-[10px] font-bold flex items-center justify-center bg-amber-600 hover:bg-amber-500 text-white"><RotateCcw className="w-3 h-3 mr-1" />REMATCH</button>
+        <button onClick={onClose} className="py-2 rounded text-[10px] font-bold bg-slate-800 hover:bg-slate-700 text-white">CLOSE</button>
+      </div>}
+    </div>
+  );
+}
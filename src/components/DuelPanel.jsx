@@ -0,0 +1,42 @@
+import React, { useState } from "react";
+import { Swords, Play, Ban, Bot, Users } from "lucide-react";
+import { DUEL_MODES, DIFFICULTIES, activeSide, isAiTurn } from "../duel.js";
+import { integrity } from "../structures.js";
+
+const HealthBar = ({ side, active }) => {
+  const health = integrity(side.structure);
+  return (
+    <div className={`bg-black/50 p-2 rounded border ${active ? "border-amber-500/50" : "border-transparent"}`}>
+      <div className="flex justify-between text-[10px] font-mono mb-1"><span className={active ? "text-amber-300" : "text-slate-500"}>{side.name.toUpperCase()}</span><span className="text-white">{(health * 100).toFixed(0)}%</span></div>
+      <div className="h-1.5 bg-slate-800 rounded overflow-hidden"><div className={`h-full ${health < 0.4 ? "bg-red-500" : "bg-emerald-500"}`} style={{ width: `${health * 100}%` }} /></div>
+    </div>
+  );
+};
+
+export default function DuelPanel({ duel, onStart, onAbort }) {
+  const [mode, setMode] = useState("ai");
+  const [difficulty, setDifficulty] = useState("veteran");
+
+  if (duel && duel.status === "ACTIVE") {
+    const side = activeSide(duel);
+    return (
+      <div className="p-3 bg-slate-950 rounded border border-amber-900/50 space-y-3">
+        <div className="flex justify-between items-center text-[10px] font-bold text-slate-500 uppercase"><span>Duel — {DUEL_MODES[duel.mode]}{duel.mode === "ai" && ` (${DIFFICULTIES[duel.difficulty].name})`}</span><Swords className="w-3 h-3 text-amber-500" /></div>
+        <div className="grid grid-cols-2 gap-2">{duel.sides.map((s, i) => <HealthBar key={i} side={s} active={i === side} />)}</div>
+        <div className="text-[10px] text-slate-400 font-mono">TURN {duel.turn + 1} | {duel.distance}m | WIND {duel.wind.speed}m/s</div>
+        <div className="text-[10px] font-bold text-amber-300">{isAiTurn(duel) ? "AI COMMANDER IS AIMING..." : `${duel.sides[side].name.toUpperCase()} TO FIRE`}</div>
+        <button onClick={onAbort} className="w-full py-2 rounded text-[10px] font-bold flex items-center justify-center space-x-2 bg-slate-800 hover:bg-slate-700 text-slate-300"><Ban className="w-3 h-3" /><span>ABANDON DUEL</span></button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="p-3 bg-slate-950 rounded border border-slate-800 space-y-3">
+      <div className="flex justify-between items-center text-[10px] font-bold text-slate-500 uppercase"><span>Artillery Duel</span><Swords className="w-3 h-3 text-amber-500" /></div>
+      <div className="text-[10px] text-slate-500 leading-relaxed">Two catapults face each other across open ground and take turns. The wind changes every turn. The first to wreck the other's catapult wins.</div>
+      <div className="grid grid-cols-2 gap-1.5 text-[9px] font-bold">{Object.entries(DUEL_MODES).map(([k, l]) => <button key={k} onClick={() => setMode(k)} className={`flex items-center justify-center py-1.5 rounded border ${mode === k ? "border-amber-500/50 text-amber-300 bg-amber-900/20" : "border-slate-800 text-slate-500 hover:text-white"}`}>{k === "ai" ? <Bot className="w-3 h-3 mr-1" /> : <Users className="w-3 h-3 mr-1" />}{l.toUpperCase()}</button>)}</div>
+      {mode === "ai" && <div className="grid grid-cols-3 gap-1.5 text-[9px] font-bold">{Object.entries(DIFFICULTIES).map(([k, d]) => <button key={k} onClick={() => setDifficulty(k)} className={`py-1.5 rounded border ${difficulty === k ? "border-amber-500/50 text-amber-300 bg-amber-900/20" : "border-slate-800 text-slate-500 hover:text-white"}`}>{d.name.toUpperCase()}</button>)}</div>}
+      <button onClick={() => onStart(mode, difficulty)} className="w-full py-2 rounded text-[10px] font-bold flex items-center justify-center space-x-2 transition-all bg-amber-600 hover:bg-amber-500 text-white"><Play className="w-3 h-3" /><span>START DUEL</span></button>
+    </div>
+  );
+}
@@ -0,0 +1,25 @@
+import React, { useEffect, useState } from "react";
+import { Timer } from "lucide-react";
+
+// Counts down to an intercept solution's firing time. The engine owns the scenario
+// clock; this only polls it once per frame, like the replay transport.
+export default function FireCountdown({ engine, fireAt, armed }) {
+  const [clock, setClock] = useState(() => engine.getClock());
+
+  useEffect(() => {
+    let frame;
+    const poll = () => { setClock(engine.getClock()); frame = requestAnimationFrame(poll); };
+    poll();
+    return () => cancelAnimationFrame(frame);
+  }, [engine]);
+
+  const left = fireAt - clock;
+  const tone = left > 1 ? "text-cyan-300 border-cyan-800" : left > -0.5 ? "text-amber-300 border-amber-600 animate-pulse" : "text-slate-500 border-slate-800";
+
+  return (
+    <div className={`flex items-center justify-between px-2 py-1 rounded border text-[9px] font-mono font-bold ${tone}`}>
+      <span className="flex items-center"><Timer className="w-3 h-3 mr-1" />{left > 0 ? `FIRE IN ${left.toFixed(2)}s` : left > -0.5 ? "FIRE!" : "WINDOW PASSED - RECALCULATE"}</span>
+      {armed && left > -0.5 && <span className="text-amber-400">AUTO</span>}
+    </div>
+  );
+}
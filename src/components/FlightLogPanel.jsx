@@ -0,0 +1,67 @@
+import React, { useMemo, useRef, useState } from "react";
+import { Download, Upload, Trash2, ArrowUpDown, ClipboardList, BarChart3, Play, Layers } from "lucide-react";
+import AccuracyDashboard from "./AccuracyDashboard.jsx";
+import { cssColor } from "../trajectory.js";
+import { toCSV, toJSON, fromCSV, fromJSON, filterLogs, sortLogs, configKey, isHit } from "../flightLog.js";
+import { engineFor } from "../engines/index.js";
+import { downloadFile } from "./download.js";
+
+// The engine's two firing controls as logged, e.g. "T:4000 | A:45°".
+const controls = (log) => {
+  const { power, aim } = engineFor(log.specs);
+  return `${power.abbr}:${log.specs[power.key]} | ${aim.abbr}:${log.specs[aim.key]}${aim.unit}`;
+};
+
+const SELECT = "bg-black/50 border border-slate-800 rounded px-1.5 py-1 text-[10px] text-slate-300 outline-none";
+const TOOL = "flex items-center px-2 py-1 rounded bg-slate-800 hover:bg-slate-700 text-[9px] font-bold text-slate-300 transition-colors";
+
+export default function FlightLogPanel({ logs, onImport, onClear, overlays, onToggleOverlay, onReplay }) {
+  const [sortKey, setSortKey] = useState("date");
+  const [descending, setDescending] = useState(true);
+  const [filters, setFilters] = useState({ result: "ALL", config: "ALL", days: 0 });
+  const [importError, setImportError] = useState(null);
+  const [view, setView] = useState("LIST");
+  const fileRef = useRef(null);
+
+  const configs = useMemo(() => [...new Set(logs.map(configKey))], [logs]);
+  const visible = useMemo(() => sortLogs(filterLogs(logs, filters), sortKey, descending), [logs, filters, sortKey, descending]);
+  const order = useMemo(() => new Map(logs.map((l, i) => [l.id, i + 1])), [logs]);
+  const overlayColors = useMemo(() => new Map(overlays.map(o => [o.id, cssColor(o.color)])), [overlays]);
+
+  const stamp = () => new Date().toISOString().slice(0, 19).replace(/[:T]/g, "-");
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      const text = await file.text();
+      onImport(file.name.toLowerCase().endsWith(".csv") ? fromCSV(text) : fromJSON(text));
+      setImportError(null);
+    } catch (err) { setImportError(err.message); }
+  };
+
+  return (
+    <div className="space-y-3">
+      <div className="flex justify-between items-center"><h3 className="text-[10px] font-bold text-emerald-500 uppercase">Flight Data</h3><button onClick={onClear} className="text-slate-500 hover:text-red-400"><Trash2 className="w-3 h-3" /></button></div>
+      <div className="flex flex-wrap gap-1.5">
+        <button onClick={() => downloadFile(`flight-log-${stamp()}.csv`, toCSV(logs), "text/csv")} disabled={!logs.length} className={TOOL}><Download className="w-3 h-3 mr-1" />CSV</button>
+        <button onClick={() => downloadFile(`flight-log-${stamp()}.json`, toJSON(logs), "application/json")} disabled={!logs.length} className={TOOL}><Download className="w-3 h-3 mr-1" />JSON</button>
+        <button onClick={() => fileRef.current?.click()} className={TOOL}><Upload className="w-3 h-3 mr-1" />IMPORT</button>
+        <div className="flex-1" />
+        <button onClick={() => setView("LIST")} className={`${TOOL} ${view === "LIST" ? "text-emerald-400" : ""}`}><ClipboardList className="w-3 h-3" /></button>
+        <button onClick={() => setView("ANALYTICS")} className={`${TOOL} ${view === "ANALYTICS" ? "text-emerald-400" : ""}`}><BarChart3 className="w-3 h-3" /></button>
+        <input ref={fileRef} type="file" accept=".csv,.json,text/csv,application/json" onChange={handleImport} className="hidden" />
+      </div>
+      {importError && <div className="text-[9px] text-red-400">Import failed: {importError}</div>}
+      <div className="grid grid-cols-2 gap-1.5">
+        <select value={filters.result} onChange={e => setFilters({ ...filters, result: e.target.value })} className={SELECT}><option value="ALL">All shots</option><option value="HITS">Hits only</option><option value="MISSES">Misses only</option></select>
+        <select value={filters.days} onChange={e => setFilters({ ...filters, days: parseInt(e.target.value, 10) })} className={SELECT}><option value={0}>Any date</option><option value={1}>Last 24h</option><option value={7}>Last 7 days</option><option value={30}>Last 30 days</option></select>
+        <select value={filters.config} onChange={e => setFilters({ ...filters, config: e.target.value })} className={`${SELECT} col-span-2`}><option value="ALL">All configurations</option>{configs.map(c => <option key={c} value={c}>{c}</option>)}</select>
+        <select value={sortKey} onChange={e => setSortKey(e.target.value)} className={SELECT}><option value="date">Sort: date</option><option value="error">Sort: error</option><option value="config">Sort: configuration</option></select>
+        <button onClick={() => setDescending(!descending)} className={`${TOOL} justify-center`}><ArrowUpDown className="w-3 h-3 mr-1" />{descending ? "DESC" : "ASC"}</button>
+      </div>
+      {view === "ANALYTICS" ? <AccuracyDashboard logs={visible} /> : visible.length === 0 ? <div className="text-center text-slate-600 text-[10px] py-10 italic">{logs.length ? "No entries match the filters." : "No flight data recorded."}</div> : <div className="space-y-2 max-h-[400px] overflow-y-auto">{visible.map(log => (<div key={log.id} className="bg-slate-950 border border-slate-800 rounded p-2 text-[10px] flex justify-between items-center"><span className="text-slate-500 font-mono w-6">#{order.get(log.id)}</span><div className="flex-1"><div className="text-white font-bold">{log.range.toFixed(1)}m <span className="text-slate-600 font-normal">{new Date(log.id).toLocaleString()}</span></div><div className="text-slate-500">{controls(log)} | Az:{log.specs.azimuth}° | W:{log.specs.wind}@{log.specs.windHeading}°</div><div className="text-slate-600">{configKey(log)}{log.autoCorrected ? " | auto-corrected" : ""}{log.missionId ? ` | ${log.missionId}` : ""}</div></div><div className={`font-mono font-bold text-right ${isHit(log) ? "text-emerald-400" : "text-red-400"}`}><div>{log.error > 0 ? "+" : ""}{log.error.toFixed(1)}m</div><div className="text-[9px] opacity-70">L:{log.lateral > 0 ? "+" : ""}{log.lateral.toFixed(1)}m</div></div>{log.trajectory && <div className="flex flex-col ml-2 space-y-1"><button onClick={() => onReplay(log)} title="Replay" className="text-slate-500 hover:text-cyan-400"><Play className="w-3 h-3" /></button><button onClick={() => onToggleOverlay(log)} title="Overlay" style={overlayColors.has(log.id) ? { color: overlayColors.get(log.id) } : undefined} className="text-slate-500 hover:text-white"><Layers className="w-3 h-3" /></button></div>}</div>))}</div>}
+    </div>
+  );
+}
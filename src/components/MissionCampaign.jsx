@@ -0,0 +1,87 @@
+import React, { useState } from "react";
+import { Flag, Lock, CheckCircle2, Play, Ban, Trophy, Hash } from "lucide-react";
+import { MISSIONS, currentTarget, summarizeRun, tierUnlocked } from "../missions.js";
+import { STRUCTURES, formatEnergy } from "../structures.js";
+
+export default function MissionCampaign({ run, cleared, onStart, onAbort, onClose }) {
+  const [selectedId, setSelectedId] = useState(MISSIONS[0].id);
+  const [seed, setSeed] = useState(MISSIONS[0].seed);
+  const selected = MISSIONS.find(m => m.id === selectedId);
+
+  const select = (mission) => { setSelectedId(mission.id); setSeed(mission.seed); };
+
+  if (run && run.status === "ACTIVE") {
+    const mission = MISSIONS.find(m => m.id === run.missionId);
+    const target = currentTarget(run);
+    const score = run.impacts.reduce((sum, i) => sum + i.points, 0);
+    const last = run.impacts[run.impacts.length - 1];
+    return (
+      <div className="p-3 bg-slate-950 rounded border border-cyan-900/50 space-y-3">
+        <div className="flex justify-between items-center text-[10px] font-bold text-slate-500 uppercase"><span>{mission.name}</span><Flag className="w-3 h-3 text-cyan-500" /></div>
+        <div className="grid grid-cols-2 gap-2 text-[10px] font-mono">
+          <div className="bg-black/50 p-2 rounded"><div className="text-slate-500">TARGET</div><div className="text-cyan-400">{run.index + 1} / {run.targets.length}</div></div>
+          <div className="bg-black/50 p-2 rounded"><div className="text-slate-500">SCORE</div><div className="text-white">{score}</div></div>
+          <div className="bg-black/50 p-2 rounded"><div className="text-slate-500">SHOTS</div><div className="text-white">{run.shotsOnTarget} / {target.shots}</div></div>
+          <div className="bg-black/50 p-2 rounded"><div className="text-slate-500">AMMO</div><div className={run.ammoLeft <= 2 ? "text-red-400" : "text-white"}>{run.ammoLeft}</div></div>
+        </div>
+        <div className="text-[10px] text-slate-400 font-mono">{STRUCTURES[target.structure].name.toUpperCase()} | RADIUS {target.radius}m | WIND {target.wind}m/s @ {target.windHeading}°</div>
+        {last && <div className={`text-[10px] font-bold ${last.hit ? "text-emerald-400" : "text-amber-400"}`}>LAST: {last.label} (+{last.points}) {last.miss.toFixed(1)}m{last.dealt > 0 && ` | ${formatEnergy(last.dealt)}`}{last.destroyed && " | DESTROYED"}</div>}
+        <button onClick={onAbort} className="w-full py-2 rounded text-[10px] font-bold flex items-center justify-center space-x-2 bg-slate-800 hover:bg-slate-700 text-slate-300"><Ban className="w-3 h-3" /><span>ABORT MISSION</span></button>
+      </div>
+    );
+  }
+
+  if (run && run.status === "COMPLETE") {
+    const mission = MISSIONS.find(m => m.id === run.missionId);
+    const summary = summarizeRun(run, mission);
+    return (
+      <div className={`p-3 bg-slate-950 rounded border space-y-3 ${summary.passed ? "border-emerald-500/50" : "border-red-500/50"}`}>
+        <div className="flex justify-between items-center text-[10px] font-bold uppercase"><span className="text-slate-500">Run Summary — {mission.name}</span><Trophy className={`w-3 h-3 ${summary.passed ? "text-emerald-400" : "text-slate-600"}`} /></div>
+        <div className={`text-center font-bold tracking-widest text-sm ${summary.passed ? "text-emerald-400" : "text-red-400"}`}>{summary.passed ? "MISSION CLEARED" : "MISSION FAILED"}</div>
+        <div className="grid grid-cols-4 gap-2 text-[10px] font-mono text-center">
+          <div className="bg-black/50 p-2 rounded"><div className="text-slate-500">SCORE</div><div className="text-white">{summary.score}/{mission.passScore}</div></div>
+          <div className="bg-black/50 p-2 rounded"><div className="text-slate-500">KILLS</div><div className="text-white">{summary.destroyed}/{run.targets.length}</div></div>
+          <div className="bg-black/50 p-2 rounded"><div className="text-slate-500">ACC</div><div className="text-white">{(summary.accuracy * 100).toFixed(0)}%</div></div>
+          <div className="bg-black/50 p-2 rounded"><div className="text-slate-500">DMG</div><div className="text-white">{formatEnergy(summary.damage)}</div></div>
+        </div>
+        <div className="space-y-1">
+          {summary.perTarget.map((t, i) => (
+            <div key={i} className="flex justify-between text-[10px] font-mono bg-black/30 px-2 py-1 rounded">
+              <span className="text-slate-500">#{i + 1} {t.distance}m</span>
+              <span className="text-slate-400">{t.shots} shot{t.shots === 1 ? "" : "s"}</span>
+              <span className="text-slate-400">{t.damage > 0 ? formatEnergy(t.damage) : "—"}</span>
+              <span className={t.destroyed ? "text-emerald-400" : "text-red-400"}>{t.bestMiss === null ? "—" : `${t.bestMiss.toFixed(1)}m`} +{t.points}</span>
+            </div>
+          ))}
+        </div>
+        <div className="text-[9px] text-slate-600 font-mono flex items-center"><Hash className="w-3 h-3 mr-1" />SEED {run.seed}</div>
+        <button onClick={onClose} className="w-full py-2 rounded text-[10px] font-bold bg-slate-800 hover:bg-slate-700 text-white">CLOSE</button>
+      </div>
+    );
+  }
+
+  const unlocked = tierUnlocked(selected.tier, cleared);
+  return (
+    <div className="p-3 bg-slate-950 rounded border border-slate-800 space-y-3">
+      <div className="flex justify-between items-center text-[10px] font-bold text-slate-500 uppercase"><span>Campaign</span><Flag className="w-3 h-3 text-cyan-500" /></div>
+      <div className="space-y-1">
+        {MISSIONS.map(m => {
+          const open = tierUnlocked(m.tier, cleared);
+          return (
+            <button key={m.id} onClick={() => select(m)} className={`w-full flex justify-between items-center px-2 py-1.5 rounded text-[10px] border transition-colors ${m.id === selectedId ? "border-cyan-500/50 bg-cyan-900/20 text-white" : "border-transparent text-slate-400 hover:bg-slate-800"}`}>
+              <span className="flex items-center"><span className="text-slate-600 font-mono mr-2">T{m.tier}</span>{m.name}</span>
+              {cleared.includes(m.id) ? <CheckCircle2 className="w-3 h-3 text-emerald-400" /> : !open ? <Lock className="w-3 h-3 text-slate-600" /> : null}
+            </button>
+          );
+        })}
+      </div>
+      <div className="text-[10px] text-slate-500 leading-relaxed">{selected.briefing}</div>
+      <div className="text-[10px] font-mono text-slate-500">{selected.targets.length} TARGETS | {selected.ammo} AMMO | PASS {selected.passScore}</div>
+      <div className="flex items-center space-x-2">
+        <span className="text-[10px] text-slate-500 font-mono">SEED</span>
+        <input type="number" value={seed} onChange={e => setSeed(parseInt(e.target.value, 10) || 0)} className="flex-1 bg-black/50 p-1.5 rounded text-right font-mono text-cyan-400 text-xs border border-cyan-900/30 outline-none" />
+      </div>
+      <button onClick={() => onStart(selected, seed)} disabled={!unlocked} className={`w-full py-2 rounded text-[10px] font-bold flex items-center justify-center space-x-2 transition-all ${unlocked ? "bg-cyan-600 hover:bg-cyan-500 text-white" : "bg-slate-800 text-slate-500 cursor-not-allowed"}`}>{unlocked ? <Play className="w-3 h-3" /> : <Lock className="w-3 h-3" />}<span>{unlocked ? "START MISSION" : `CLEAR TIER ${selected.tier - 1} TO UNLOCK`}</span></button>
+    </div>
+  );
+}
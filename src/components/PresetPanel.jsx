@@ -0,0 +1,64 @@
+import React, { useRef, useState } from "react";
+import { Download, Upload, Trash2, Save, FolderOpen, Share2 } from "lucide-react";
+import { PRESET_KINDS, toJSON, fromJSON } from "../presets.js";
+import { engineFor } from "../engines/index.js";
+import { downloadFile } from "./download.js";
+
+const TOOL = "flex items-center px-2 py-1 rounded bg-slate-800 hover:bg-slate-700 text-[9px] font-bold text-slate-300 transition-colors";
+
+const fileName = (name) => `${name.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "") || "preset"}.json`;
+
+// One line on what a preset sets, e.g. "Trebuchet 10m beam / 7m sling, 10kg" or "... | 250m target".
+const describe = (preset) => {
+  const engine = engineFor(preset.specs);
+  const build = `${engine.name} ${engine.describe({ ...engine.defaults, ...preset.specs })}, ${preset.specs.projMass ?? "?"}kg`;
+  return preset.kind === "mission" ? `${build} | ${preset.specs.targetDist}m target, wind ${preset.specs.wind}m/s` : build;
+};
+
+export default function PresetPanel({ presets, onSave, onLoad, onDelete, onImport, onShare, heightmap }) {
+  const [name, setName] = useState("");
+  const [kind, setKind] = useState("catapult");
+  const [message, setMessage] = useState(null);
+  const fileRef = useRef(null);
+
+  const save = () => {
+    if (!name.trim()) return;
+    onSave(name, kind);
+    setName("");
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      const imported = fromJSON(await file.text());
+      onImport(imported);
+      setMessage(`Imported ${imported.length} preset${imported.length === 1 ? "" : "s"}`);
+    } catch (err) { setMessage(`Import failed: ${err.message}`); }
+  };
+
+  const share = async () => {
+    const copied = await onShare();
+    setMessage(copied ? "Share link copied to the clipboard" : "Share link is in the address bar");
+  };
+
+  return (
+    <div className="space-y-3">
+      <div className="flex justify-between items-center"><h3 className="text-[10px] font-bold text-slate-500 uppercase">Presets</h3><button onClick={share} title="Copy a link to this exact setup" className={TOOL}><Share2 className="w-3 h-3 mr-1" />SHARE LINK</button></div>
+      <div className="flex space-x-1.5">
+        <input value={name} onChange={e => setName(e.target.value)} onKeyDown={e => e.key === "Enter" && save()} placeholder="Preset name" className="flex-1 min-w-0 bg-black/50 border border-slate-800 rounded px-2 py-1 text-[10px] text-slate-300 outline-none" />
+        <select value={kind} onChange={e => setKind(e.target.value)} className="bg-black/50 border border-slate-800 rounded px-1.5 py-1 text-[10px] text-slate-300 outline-none">{Object.entries(PRESET_KINDS).map(([k, label]) => <option key={k} value={k}>{label}</option>)}</select>
+        <button onClick={save} disabled={!name.trim()} className={TOOL}><Save className="w-3 h-3" /></button>
+      </div>
+      <div className="text-[9px] text-slate-600">Catapult presets keep the current target and weather; mission presets replace them, with the battlefield.{heightmap ? " Imported heightmaps are not saved or shared." : ""}</div>
+      <div className="flex flex-wrap gap-1.5">
+        <button onClick={() => downloadFile("catapult-presets.json", toJSON(presets), "application/json")} disabled={!presets.length} className={TOOL}><Download className="w-3 h-3 mr-1" />EXPORT ALL</button>
+        <button onClick={() => fileRef.current?.click()} className={TOOL}><Upload className="w-3 h-3 mr-1" />IMPORT</button>
+        <input ref={fileRef} type="file" accept=".json,application/json" onChange={handleImport} className="hidden" />
+      </div>
+      {message && <div className="text-[9px] text-amber-300/80">{message}</div>}
+      {presets.length === 0 ? <div className="text-center text-slate-600 text-[10px] py-4 italic">No saved presets.</div> : <div className="space-y-1.5 max-h-[240px] overflow-y-auto">{presets.map(p => (<div key={p.id} className="bg-slate-950 border border-slate-800 rounded p-2 text-[10px] flex items-center"><div className="flex-1 min-w-0"><div className="text-white font-bold truncate">{p.name} <span className={`font-normal text-[9px] ${p.kind === "mission" ? "text-cyan-500" : "text-amber-500"}`}>{PRESET_KINDS[p.kind].toUpperCase()}</span></div><div className="text-slate-500 truncate">{describe(p)}</div></div><div className="flex space-x-2 ml-2"><button onClick={() => onLoad(p)} title="Load" className="text-slate-500 hover:text-amber-400"><FolderOpen className="w-3 h-3" /></button><button onClick={() => downloadFile(fileName(p.name), toJSON(p), "application/json")} title="Export" className="text-slate-500 hover:text-white"><Download className="w-3 h-3" /></button><button onClick={() => onDelete(p.id)} title="Delete" className="text-slate-500 hover:text-red-400"><Trash2 className="w-3 h-3" /></button></div></div>))}</div>}
+    </div>
+  );
+}
@@ -0,0 +1,48 @@
+import React, { useEffect, useState } from "react";
+import { Play, Pause, SkipBack, SkipForward, X, Film } from "lucide-react";
+
+const SPEEDS = [0.1, 0.25, 0.5, 1, 2, 4];
+
+// Transport bar for the engine's trajectory replay. The engine owns the replay clock;
+// this only polls it once per frame to keep the scrubber in sync.
+export default function ReplayControls({ engine, label, onClose }) {
+  const [replay, setReplay] = useState(() => ({ ...engine.getReplay() }));
+
+  useEffect(() => {
+    let frame;
+    const poll = () => {
+      const r = engine.getReplay();
+      if (!r) return onClose();
+      setReplay({ t: r.t, playing: r.playing, speed: r.speed, duration: r.duration });
+      frame = requestAnimationFrame(poll);
+    };
+    poll();
+    return () => cancelAnimationFrame(frame);
+  }, [engine]);
+
+  const togglePlay = () => {
+    const restart = !replay.playing && replay.t >= replay.duration;
+    engine.setReplay({ playing: !replay.playing, ...(restart ? { t: 0 } : {}) });
+  };
+
+  return (
+    <div className="bg-black/70 backdrop-blur px-3 py-2 rounded-xl border border-white/10 text-[10px] text-slate-300 w-[360px] space-y-1.5">
+      <div className="flex items-center justify-between">
+        <span className="flex items-center font-bold"><Film className="w-3 h-3 mr-2 text-cyan-400" />REPLAY {label}</span>
+        <span className="font-mono text-slate-400">{replay.t.toFixed(2)}s / {replay.duration.toFixed(2)}s</span>
+        <button onClick={onClose} className="text-slate-500 hover:text-white"><X className="w-3 h-3" /></button>
+      </div>
+      <input type="range" min={0} max={replay.duration} step={0.001} value={replay.t} onChange={e => engine.setReplay({ t: parseFloat(e.target.value), playing: false })} className="w-full h-1 bg-slate-800 rounded-lg appearance-none cursor-pointer accent-cyan-600" />
+      <div className="flex items-center justify-between">
+        <div className="flex items-center space-x-1">
+          <button onClick={() => engine.stepReplay(-1)} className="p-1 rounded bg-slate-800 hover:bg-slate-700"><SkipBack className="w-3 h-3" /></button>
+          <button onClick={togglePlay} className="p-1 rounded bg-cyan-700 hover:bg-cyan-600 text-white">{replay.playing ? <Pause className="w-3 h-3" /> : <Play className="w-3 h-3" />}</button>
+          <button onClick={() => engine.stepReplay(1)} className="p-1 rounded bg-slate-800 hover:bg-slate-700"><SkipForward className="w-3 h-3" /></button>
+        </div>
+        <div className="flex items-center space-x-1">
+          {SPEEDS.map(s => <button key={s} onClick={() => engine.setReplay({ speed: s })} className={`px-1.5 py-0.5 rounded font-mono ${replay.speed === s ? "bg-cyan-700 text-white" : "bg-slate-800 text-slate-400 hover:bg-slate-700"}`}>{s}×</button>)}
+        </div>
+      </div>
+    </div>
+  );
+}
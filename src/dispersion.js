@@ -0,0 +1,67 @@
+// --- Dispersion Analysis ---
+// Monte Carlo over a firing solution: every shot has its power, aim and payload mass drawn around
+// the set values and its own gust, all from one seed, so an analysis repeats exactly and two
+// solutions compared on the same seed face the same disturbances.
+import { simulate, sampleGust, impactError } from "./ballistics.js";
+import { FLAT_WORLD } from "./terrain.js";
+import { withStructure } from "./structures.js";
+import { isMoving } from "./motion.js";
+import { engineFor } from "./engines/index.js";
+import { createRng, normal } from "./random.js";
+import { mean, median } from "./analytics.js";
+
+export const DISPERSION_SHOTS = 200;
+
+// Shot-to-shot variation, as 1σ spreads (the gust is drawn from a disc, like Wind Variability).
+export const DEFAULT_VARIATION = {
+  power: 2,   // %, of the power control (tension, counterweight...)
+  aim: 0.3,   // deg (or the aim control's unit)
+  gust: 1,    // m/s, radius of the gust disc around the mean wind
+  mass: 3     // %, of the payload mass
+};
+
+// Specs for one shot with its own draw of every variation.
+const vary = (specs, variation, rng) => {
+  const { power, aim } = engineFor(specs);
+  return sampleGust({
+    ...specs,
+    [power.key]: specs[power.key] * (1 + (normal(rng) * variation.power) / 100),
+    [aim.key]: specs[aim.key] + normal(rng) * variation.aim,
+    projMass: specs.projMass * Math.max(0.1, 1 + (normal(rng) * variation.mass) / 100),
+    windGust: variation.gust
+  }, rng);
+};
+
+/**
+ * Fires `shots` varied copies of the shot in `specs` headlessly.
+ *
+ * @param {object} specs  siege engine + target specs, already set to the solution being assessed
+ * @param {object} [options]
+ * @param {number} [options.shots=DISPERSION_SHOTS]
+ * @param {object} [options.variation=DEFAULT_VARIATION]
+ * @param {number} [options.seed=1]
+ * @param {object} [options.world=FLAT_WORLD]  terrain and obstacles (see terrain.js)
+ * @param {object} [options.structure=null]  what stands at the target (see structures.js), placed where the target is as the set shot lands
+ * @param {number} [options.clock=0]  scenario time the shots are fired at; a moving target is judged where it is as each lands
+ * @returns {{ shots: number, impacts: object[], hitProbability: number, cep: number, mean: { range: number, lateral: number } }}
+ *   `impacts` are { x, y, z, range, lateral, miss, hit } for the shots that landed; a shot still in the air
+ *   after the step limit counts as a miss. `cep` is the radius around the target holding half the impacts.
+ */
+export const disperse = (specs, { shots = DISPERSION_SHOTS, variation = DEFAULT_VARIATION, seed = 1, world = FLAT_WORLD, structure = null, clock = 0 } = {}) => {
+  const rng = createRng(seed), impacts = [];
+  const landing = structure && isMoving(specs) ? simulate(specs, { world }) : null;
+  const field = withStructure(world, structure, specs, clock + (landing ? landing.releaseTime + landing.flightTime : 0));
+  for (let i = 0; i < shots; i++) {
+    const r = simulate(vary(specs, variation, rng), { world: field });
+    if (!r.impact) continue;
+    const err = impactError(r.impact, specs, clock + r.releaseTime + r.flightTime);
+    impacts.push({ ...r.impact, range: err.range, lateral: err.lateral, miss: err.miss, hit: err.miss < specs.targetRadius });
+  }
+  return {
+    shots,
+    impacts,
+    hitProbability: impacts.filter(s => s.hit).length / shots,
+    cep: median(impacts.map(s => s.miss)),
+    mean: { range: mean(impacts.map(s => s.range)), lateral: mean(impacts.map(s => s.lateral)) }
+  };
+};
@@ -0,0 +1,57 @@
+import { describe, it, expect } from "vitest";
+import { disperse, DEFAULT_VARIATION } from "./dispersion.js";
+import { solve } from "./solver.js";
+import { DEFAULT_SPECS } from "./ballistics.js";
+import { engineFor } from "./engines/index.js";
+import { createStructure } from "./structures.js";
+
+// The default specs set to their least-power solution.
+const aimed = (() => {
+  const { low } = solve(DEFAULT_SPECS), { power, aim } = engineFor(DEFAULT_SPECS);
+  return { ...DEFAULT_SPECS, [power.key]: low.power, [aim.key]: low.aim, azimuth: low.azimuth };
+})();
+const calm = { power: 0, aim: 0, gust: 0, mass: 0 };
+
+describe("disperse", () => {
+  it("repeats exactly from the same seed", () => {
+    const a = disperse(aimed, { shots: 40, seed: 9 }), b = disperse(aimed, { shots: 40, seed: 9 });
+    expect(a).toEqual(b);
+    expect(disperse(aimed, { shots: 40, seed: 10 }).impacts).not.toEqual(a.impacts);
+  });
+
+  it("lands every shot together without variation", () => {
+    const { impacts, hitProbability, cep } = disperse(aimed, { shots: 10, variation: calm });
+    expect(new Set(impacts.map(s => s.x)).size).toBe(1);
+    expect(hitProbability).toBe(1);
+    expect(cep).toBeLessThan(1);
+  });
+
+  it("spreads wider as the variation grows", () => {
+    const tight = disperse(aimed, { shots: 100 }), loose = disperse(aimed, { shots: 100, variation: { ...DEFAULT_VARIATION, power: 8, aim: 2 } });
+    expect(loose.cep).toBeGreaterThan(tight.cep);
+    expect(loose.hitProbability).toBeLessThan(tight.hitProbability);
+  });
+
+  it("stops shots on the target's structure", () => {
+    const open = disperse(aimed, { shots: 10, variation: calm }), walled = disperse(aimed, { shots: 10, variation: calm, structure: createStructure("tower") });
+    expect(walled.impacts[0].x).toBeLessThan(open.impacts[0].x - 0.5);
+    expect(walled.impacts[0].y).toBeGreaterThan(0);
+  });
+
+  it("counts hits inside the target radius", () => {
+    const { impacts, hitProbability } = disperse(aimed, { shots: 100 });
+    impacts.forEach(s => expect(s.hit).toBe(s.miss < aimed.targetRadius));
+    expect(hitProbability).toBe(impacts.filter(s => s.hit).length / 100);
+  });
+});
+
+describe("solve for hit probability", () => {
+  it("reports the odds of each arc", () => {
+    const { feasible, low, high } = solve(DEFAULT_SPECS, { objective: "hit" });
+    expect(feasible).toBe(true);
+    for (const sol of [low, high]) {
+      expect(sol.hitProbability).toBeGreaterThan(0);
+      expect(sol.hitProbability).toBeLessThanOrEqual(1);
+    }
+  });
+});
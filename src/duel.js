@@ -0,0 +1,100 @@
+// --- Artillery Duel ---
+// Two catapults face each other across open ground and take turns. Every turn is played from the
+// shooter's side, with its own catapult at the origin and the opponent's as the target. That way
+// the solver, the shot and the structure damage all work unchanged. The wind is rolled afresh
+// each turn from the duel's seed. It is kept in the first side's frame, and the second side sees
+// it turned round.
+import { createRng, roll, normal } from "./random.js";
+import { createStructure, integrity, isDestroyed } from "./structures.js";
+import { engineFor } from "./engines/index.js";
+import { clampTo } from "./engines/common.js";
+
+const DUEL_DISTANCE = [180, 320]; // m between the catapults
+const DUEL_WIND = 12;             // m/s, strongest wind a turn can roll
+const MAX_TURNS = 30;             // shots in all before the duel is decided on health
+
+export const DUEL_MODES = { hotseat: "Hot-seat", ai: "vs AI" };
+
+// The AI commander's aiming errors (σ): power in % of the setting, aim in the engine's aim units, traverse in degrees.
+export const DIFFICULTIES = {
+  recruit: { name: "Recruit", power: 6, aim: 3, azimuth: 2 },
+  veteran: { name: "Veteran", power: 3, aim: 1.5, azimuth: 1 },
+  master: { name: "Master", power: 1, aim: 0.5, azimuth: 0.3 }
+};
+
+const rollWind = (seed, turn) => {
+  const rng = createRng(seed + turn * 7919);
+  return { speed: parseFloat(roll(rng, [0, DUEL_WIND]).toFixed(1)), heading: Math.round(roll(rng, [0, 360])) % 360 };
+};
+
+// Both sides start from the same firing `controls` (see controlsOf).
+export const startDuel = (mode, difficulty, seed, controls) => ({
+  mode,
+  difficulty,
+  seed,
+  distance: Math.round(roll(createRng(seed), DUEL_DISTANCE)),
+  sides: (mode === "ai" ? ["Player", "AI Commander"] : ["Player 1", "Player 2"]).map(name => ({ name, structure: createStructure("catapult"), controls })),
+  turn: 0,
+  wind: rollWind(seed, 0),
+  log: [],
+  status: "ACTIVE",
+  winner: null
+});
+
+// Index of the side whose turn it is.
+export const activeSide = (duel) => duel.turn % 2;
+
+export const isAiTurn = (duel) => duel.status === "ACTIVE" && duel.mode === "ai" && activeSide(duel) === 1;
+
+// The spec fields a turn drives: the opponent as a static catapult target, and the wind seen from the shooter's side.
+export const duelSpecs = (duel) => ({
+  targetDist: duel.distance,
+  targetBearing: 0,
+  targetRadius: 5,
+  targetMotion: "static",
+  targetStructure: "catapult",
+  wind: duel.wind.speed,
+  windHeading: activeSide(duel) ? (duel.wind.heading + 180) % 360 : duel.wind.heading,
+  windGust: 0
+});
+
+// The firing controls a side keeps between its turns.
+export const controlsOf = (specs) => {
+  const { power, aim } = engineFor(specs);
+  return { [power.key]: specs[power.key], [aim.key]: specs[aim.key], azimuth: specs.azimuth };
+};
+
+// The AI commander's settings: a solved aim spoiled by its difficulty's errors, drawn from `rng`.
+export const aimError = (specs, difficulty, rng) => {
+  const { power, aim } = engineFor(specs), sigma = DIFFICULTIES[difficulty];
+  return {
+    ...specs,
+    [power.key]: Math.round(clampTo(power, specs[power.key] * (1 + normal(rng) * sigma.power / 100)) / power.step) * power.step,
+    [aim.key]: parseFloat(clampTo(aim, specs[aim.key] + normal(rng) * sigma.aim).toFixed(1)),
+    azimuth: parseFloat(Math.max(-60, Math.min(60, specs.azimuth + normal(rng) * sigma.azimuth)).toFixed(1))
+  };
+};
+
+// An AI turn's errors replay from the duel's seed.
+export const aiRng = (duel) => createRng(duel.seed + duel.turn * 104729 + 1);
+
+/**
+ * Returns the next duel state after the active side's shot.
+ *
+ * @param {object} duel
+ * @param {{ miss: number, dealt: number, structure: object, controls: object }} shot  the miss (m) from the opposing
+ *   catapult, the damage it took (J), that catapult's structure after the shot and the controls the shot was fired with
+ */
+export const recordDuelShot = (duel, { miss, dealt, structure, controls }) => {
+  if (duel.status !== "ACTIVE") return duel;
+  const side = activeSide(duel), foe = 1 - side;
+  const sides = duel.sides.map((s, i) => (i === foe ? { ...s, structure } : i === side ? { ...s, controls } : s));
+  const log = [...duel.log, { turn: duel.turn + 1, side, miss, dealt, health: integrity(structure), wind: duel.wind }];
+  if (isDestroyed(structure)) return { ...duel, sides, log, status: "COMPLETE", winner: side };
+  if (duel.turn + 1 >= MAX_TURNS) {
+    // Out of shots: the sturdier catapult wins, or it is a draw
+    const [a, b] = sides.map(s => integrity(s.structure));
+    return { ...duel, sides, log, status: "COMPLETE", winner: a === b ? null : a > b ? 0 : 1 };
+  }
+  return { ...duel, sides, log, turn: duel.turn + 1, wind: rollWind(duel.seed, duel.turn + 1) };
+};
@@ -0,0 +1,68 @@
+import { describe, it, expect } from "vitest";
+import { DEFAULT_SPECS } from "./ballistics.js";
+import { createStructure, damageStructure, integrity } from "./structures.js";
+import { startDuel, activeSide, isAiTurn, duelSpecs, controlsOf, aimError, aiRng, recordDuelShot } from "./duel.js";
+import { createRng } from "./random.js";
+
+const controls = controlsOf(DEFAULT_SPECS);
+const miss = (duel) => recordDuelShot(duel, { miss: 40, dealt: 0, structure: duel.sides[1 - activeSide(duel)].structure, controls });
+
+describe("duel", () => {
+  it("starts from the seed with both catapults whole", () => {
+    const a = startDuel("ai", "veteran", 5, controls);
+    expect(startDuel("ai", "veteran", 5, controls)).toEqual(a);
+    expect(a.distance).toBeGreaterThanOrEqual(180);
+    expect(a.distance).toBeLessThanOrEqual(320);
+    expect(a.sides.map(s => integrity(s.structure))).toEqual([1, 1]);
+    expect(isAiTurn(a)).toBe(false);
+    expect(isAiTurn(miss(a))).toBe(true);
+  });
+
+  it("turns the wind round for the second side", () => {
+    const duel = startDuel("hotseat", "veteran", 5, controls), next = miss(duel);
+    expect(duelSpecs(duel)).toMatchObject({ targetDist: duel.distance, targetStructure: "catapult", windHeading: duel.wind.heading });
+    expect(duelSpecs(next).windHeading).toBe((next.wind.heading + 180) % 360);
+  });
+
+  it("keeps each side's controls between its turns", () => {
+    const duel = startDuel("hotseat", "veteran", 5, controls), aimed = { ...controls, azimuth: 3 };
+    const next = recordDuelShot(duel, { miss: 4, dealt: 0, structure: duel.sides[1].structure, controls: aimed });
+    expect(next.sides[0].controls).toEqual(aimed);
+    expect(next.sides[1].controls).toEqual(controls);
+    expect(next.log[0]).toMatchObject({ turn: 1, side: 0, miss: 4, health: 1 });
+  });
+
+  it("ends when a catapult is wrecked", () => {
+    const duel = startDuel("hotseat", "veteran", 5, controls);
+    const catapult = createStructure("catapult"), frame = { x: duel.distance, y: 0, z: 0, heading: 0 };
+    const wrecked = damageStructure(catapult, { x: duel.distance, y: 1, z: 0 }, 1e7, frame, 0).structure;
+    const done = recordDuelShot(duel, { miss: 0, dealt: 1e7, structure: wrecked, controls });
+    expect(done).toMatchObject({ status: "COMPLETE", winner: 0, turn: 0 });
+    expect(recordDuelShot(done, { miss: 0, dealt: 0, structure: catapult, controls })).toBe(done);
+  });
+
+  it("is decided on health after 30 shots", () => {
+    let duel = startDuel("hotseat", "veteran", 5, controls);
+    for (let i = 0; i < 29; i++) duel = miss(duel);
+    expect(duel.status).toBe("ACTIVE");
+    const draw = miss(duel);
+    expect(draw).toMatchObject({ status: "COMPLETE", winner: null });
+    expect(draw.log).toHaveLength(30);
+
+    const dented = damageStructure(duel.sides[0].structure, { x: 0, y: 1, z: 0 }, 5000, { x: 0, y: 0, z: 0, heading: 0 }, 8).structure;
+    const won = recordDuelShot(duel, { miss: 2, dealt: 5000, structure: dented, controls });
+    expect(won).toMatchObject({ status: "COMPLETE", winner: 1 });
+  });
+
+  it("spoils the AI's aim less the better its difficulty", () => {
+    const duel = miss(startDuel("ai", "veteran", 5, controls));
+    const spec = { ...DEFAULT_SPECS, ...duelSpecs(duel) };
+    expect(aimError(spec, "master", aiRng(duel))).toEqual(aimError(spec, "master", aiRng(duel)));
+    const spread = (difficulty) => {
+      const rng = createRng(1);
+      return Array.from({ length: 50 }, () => Math.abs(aimError(spec, difficulty, rng).angle - spec.angle)).reduce((a, b) => a + b);
+    };
+    expect(spread("recruit")).toBeGreaterThan(spread("veteran"));
+    expect(spread("veteran")).toBeGreaterThan(spread("master"));
+  });
+});
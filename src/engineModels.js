@@ -0,0 +1,107 @@
+// --- Siege Engine Models ---
+// Three.js models for the engines in engines/, keyed the same way. THREE is passed in
+// (the app loads it from a CDN at runtime). Each builder returns { group, pose }:
+// the group is laid out in the engine's firing plane (x forward, y up, z across) and the
+// scene turns it by the traverse; pose(rig, p, sinceRelease) moves the parts to a launch
+// state, with `sinceRelease` in seconds, or null before the payload has left.
+import { STOP_THETA, PIVOT_HEIGHT } from "./engines/mangonel.js";
+import { SHORT_ARM, pivotHeight, rigPoints } from "./engines/trebuchet.js";
+import { SWIVEL_HEIGHT, BOW_OFFSET } from "./engines/ballista.js";
+import { DEG } from "./engines/common.js";
+
+const box = (THREE, w, h, d, mat, x = 0, y = 0, z = 0) => {
+  const mesh = new THREE.Mesh(new THREE.BoxGeometry(w, h, d), mat);
+  mesh.position.set(x, y, z); mesh.castShadow = true;
+  return mesh;
+};
+
+const bar = (THREE, length, radius, mat) => new THREE.Mesh(new THREE.CylinderGeometry(radius, radius, length, 16), mat);
+
+const mangonel = (THREE, { wood, metal }) => {
+  const group = new THREE.Group();
+  const axle = bar(THREE, 7, 0.3, metal); axle.rotation.x = Math.PI/2; axle.position.set(0, PIVOT_HEIGHT, 0);
+  const stopBar = bar(THREE, 7, 0.3, metal); stopBar.rotation.x = Math.PI/2; stopBar.position.set(3, 7, 0);
+  group.add(
+    box(THREE, 12, 1, 1, wood, 0, 0.5, 2.5), box(THREE, 12, 1, 1, wood, 0, 0.5, -2.5),
+    box(THREE, 1, 1, 6, wood, 5.5, 0.5, 0), box(THREE, 1, 1, 6, wood, -5.5, 0.5, 0),
+    box(THREE, 1, 6, 1, wood, 0, 3, 2.5), box(THREE, 1, 6, 1, wood, 0, 3, -2.5),
+    axle, stopBar, box(THREE, 0.5, 4, 0.5, wood, 3, 5, 3), box(THREE, 0.5, 4, 0.5, wood, 3, 5, -3)
+  );
+  const armPivot = new THREE.Group(); armPivot.position.set(0, PIVOT_HEIGHT, 0);
+  const armBeam = box(THREE, 1, 0.6, 0.8, wood);
+  const cup = new THREE.Mesh(new THREE.CylinderGeometry(1.2, 1.0, 1.0, 16, 1, true), metal);
+  armPivot.add(armBeam, cup); group.add(armPivot);
+
+  const pose = (rig, p, sinceRelease) => {
+    armBeam.scale.set(p.armLength, 1, 1); armBeam.position.set(-p.armLength/2, 0, 0); cup.position.set(-p.armLength, 0.8, 0);
+    armPivot.rotation.z = rig.theta;
+    // Shudder against the stop bar
+    if (sinceRelease !== null && rig.theta <= STOP_THETA) armPivot.rotation.z += Math.sin(sinceRelease * 20) * 0.2 * Math.exp(-sinceRelease);
+  };
+  return { group, pose };
+};
+
+const trebuchet = (THREE, { wood, metal }) => {
+  const group = new THREE.Group();
+  const uprights = [-1.6, 1.6].map(z => box(THREE, 0.7, 1, 0.7, wood, 0, 0, z));
+  const braces = [-1.6, 1.6].map(z => box(THREE, 0.4, 1, 0.4, wood, 0, 0, z));
+  const axle = bar(THREE, 4, 0.25, metal); axle.rotation.x = Math.PI/2;
+  group.add(box(THREE, 10, 0.8, 0.8, wood, 0, 0.4, 1.6), box(THREE, 10, 0.8, 0.8, wood, 0, 0.4, -1.6), box(THREE, 0.8, 0.8, 4, wood, -4.6, 0.4, 0), box(THREE, 0.8, 0.8, 4, wood, 4.6, 0.4, 0), ...uprights, ...braces, axle);
+  const beamPivot = new THREE.Group();
+  const beam = box(THREE, 1, 0.5, 0.5, wood);
+  const counterweight = box(THREE, 2, 2, 2.4, metal);
+  beamPivot.add(beam, counterweight); group.add(beamPivot);
+  const sling = new THREE.Line(new THREE.BufferGeometry(), new THREE.LineBasicMaterial({ color: 0xd6d3d1 }));
+  group.add(sling);
+
+  const pose = (rig, p) => {
+    const h = pivotHeight(p), short = p.beamLength * SHORT_ARM, brace = Math.hypot(h, 4);
+    uprights.forEach(u => { u.scale.y = h + 0.5; u.position.y = (h + 0.5) / 2; });
+    braces.forEach(b => { b.scale.y = brace; b.position.set(2, h / 2, b.position.z); b.rotation.z = Math.atan2(4, h); });
+    axle.position.set(0, h, 0); beamPivot.position.set(0, h, 0);
+    beam.scale.x = p.beamLength + short; beam.position.x = (p.beamLength - short) / 2;
+    counterweight.position.x = -short;
+    beamPivot.rotation.z = rig.theta;
+    const { tip, payload } = rigPoints(rig, p);
+    sling.geometry.setFromPoints([new THREE.Vector3(tip.x, tip.y, 0), new THREE.Vector3(payload.x, payload.y, 0)]);
+  };
+  return { group, pose };
+};
+
+const ballista = (THREE, { wood, metal }) => {
+  const group = new THREE.Group();
+  group.add(box(THREE, 3, 0.4, 0.4, wood, 0, 0.2, 0), box(THREE, 0.4, 0.4, 3, wood, 0, 0.2, 0), box(THREE, 0.5, SWIVEL_HEIGHT, 0.5, wood, 0, SWIVEL_HEIGHT / 2, 0));
+  const stock = new THREE.Group(); stock.position.set(0, SWIVEL_HEIGHT, 0);
+  const track = box(THREE, 1, 0.25, 0.5, wood);
+  const frame = box(THREE, 0.5, 0.9, 1.4, metal, BOW_OFFSET, 0, 0);
+  const limbs = [-1, 1].map(() => box(THREE, 1, 0.15, 0.15, wood));
+  const string = new THREE.Line(new THREE.BufferGeometry(), new THREE.LineBasicMaterial({ color: 0xd6d3d1 }));
+  stock.add(track, frame, ...limbs, string); group.add(stock);
+
+  const pose = (rig, p) => {
+    const back = p.drawLength + 0.5, front = BOW_OFFSET + 0.6;
+    track.scale.x = back + front; track.position.x = (front - back) / 2;
+    stock.rotation.z = p.angle * DEG;
+    // The limbs swing back with the draw and the string follows the slider
+    const tips = [-1, 1].map(side => new THREE.Vector3(BOW_OFFSET - 0.3 - rig.draw * 0.3, 0, side * (1.5 - rig.draw * 0.25)));
+    limbs.forEach((limb, i) => {
+      const root = new THREE.Vector3(BOW_OFFSET, 0, (i ? 1 : -1) * 0.7), span = tips[i].clone().sub(root);
+      limb.scale.x = span.length(); limb.position.copy(root).addScaledVector(span, 0.5);
+      limb.rotation.y = -Math.atan2(span.z, span.x);
+    });
+    string.geometry.setFromPoints([tips[0], new THREE.Vector3(BOW_OFFSET - rig.draw, 0, 0), tips[1]]);
+  };
+  return { group, pose };
+};
+
+const BUILDERS = { mangonel, trebuchet, ballista };
+
+/**
+ * Builds the model for an engine key (see engines/index.js).
+ *
+ * @param {object} THREE
+ * @param {string} key
+ * @param {{ wood: object, metal: object }} materials  shared with the rest of the scene, not owned by the model
+ * @returns {{ group: object, pose: (rig: object, p: object, sinceRelease: number|null) => void }}
+ */
+export const buildEngineModel = (THREE, key, materials) => (BUILDERS[key] || mangonel)(THREE, materials);
@@ -0,0 +1,69 @@
+// --- Ballista ---
+// A torsion bow on a swivelling stand. The slider is winched back `drawLength` m and the string
+// drives the payload straight up the stock, leaving along the stock at the elevation `angle`.
+// The bow's pull rises linearly with the draw to `tension` at full draw; the limbs and string
+// (their effective mass `limbMass`) are thrown forward with the payload.
+import { GRAVITY, DEG, traverse } from "./common.js";
+
+export const SWIVEL_HEIGHT = 1.4;   // m, stock pivot above the ground
+export const BOW_OFFSET = 1.2;      // m, bow line ahead of the swivel along the stock
+const SUBSTEPS = 8;
+
+// Payload position in the firing plane when the string is `draw` m behind the bow line.
+export const stockPoint = (draw, p) => {
+  const a = p.angle * DEG, along = BOW_OFFSET - draw;
+  return { x: along * Math.cos(a), y: SWIVEL_HEIGHT + along * Math.sin(a) };
+};
+
+// Accelerates the payload up the stock for `dt`. Mutates and returns `rig` ({ draw, speed }).
+export const stepBow = (rig, p, dt) => {
+  const pull = p.tension * (rig.draw / p.drawLength), carried = p.projMass + p.limbMass;
+  const accel = (pull - p.projMass * GRAVITY * Math.sin(p.angle * DEG)) / carried;
+  rig.speed += accel * dt;
+  rig.draw -= rig.speed * dt;
+  return rig;
+};
+
+export const ballista = {
+  name: "Ballista",
+  summary: "Torsion bow on a stand. Fast, flat shots; elevation is limited to 45°.",
+  power: { key: "tension", label: "Draw Force", abbr: "T", min: 2000, max: 80000, step: 100, unit: "N", scale: 1000, scaledUnit: "kN" },
+  aim: { key: "angle", label: "Angle", abbr: "A", min: 0, max: 45, step: 0.1, unit: "°" },
+  params: [
+    { key: "drawLength", label: "Draw Length", min: 0.4, max: 2, step: 0.05, unit: "m", digits: 2 },
+    { key: "limbMass", label: "Limb Mass", min: 2, max: 40, step: 1, unit: "kg" }
+  ],
+  defaults: {
+    drawLength: 1.2,    // m
+    limbMass: 8         // kg, effective moving mass of the arms and string
+  },
+  describe: (p) => `${p.drawLength}m draw / ${p.limbMass}kg limbs`,
+
+  load: (p) => ({ draw: p.drawLength, speed: 0 }),
+  rest: () => ({ draw: 0, speed: 0 }),
+  payload: (rig, p) => traverse(stockPoint(rig.draw, p), p),
+
+  // Released at the bow line; a draw too weak to push the payload up a steep stock leaves it where it stalls.
+  launch(shot, p, dt) {
+    const h = dt / SUBSTEPS;
+    for (let i = 0; i < SUBSTEPS && shot.phase === "SWING"; i++) {
+      const draw0 = shot.draw, speed0 = shot.speed;
+      stepBow(shot, p, h);
+      shot.stalled = shot.speed < 0;
+      if (shot.draw <= 0 || shot.stalled) {
+        if (!shot.stalled) {
+          const f = draw0 / (draw0 - shot.draw);
+          shot.speed = speed0 + (shot.speed - speed0) * f;
+          shot.draw = 0;
+        }
+        shot.phase = "FLIGHT";
+        const v = shot.stalled ? 0 : shot.speed, a = p.angle * DEG;
+        shot.vel = traverse({ x: v * Math.cos(a), y: v * Math.sin(a) }, p);
+      }
+    }
+    shot.pos = traverse(stockPoint(shot.draw, p), p);
+  },
+
+  // The string has already snapped back to the bow line.
+  settle: () => {}
+};
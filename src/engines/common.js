@@ -0,0 +1,21 @@
+// --- Shared Launch Frame ---
+// Every engine works in its own firing plane: x forward along the traverse, y up.
+// These helpers carry that plane into the world frame used by the ballistics engine.
+
+export const GRAVITY = 9.81;
+export const DEG = Math.PI / 180;
+
+// Rotates a point or vector from the firing plane (x, y) into the world by the engine's traverse.
+export const traverse = (v, p) => {
+  const a = (p.azimuth || 0) * DEG;
+  return { x: v.x * Math.cos(a), y: v.y, z: v.x * Math.sin(a) };
+};
+
+// Clamps a spec value into a control's slider range.
+export const clampTo = (control, value) => Math.min(control.max, Math.max(control.min, value));
+
+// Power formatted for messages, e.g. "4.0 kN" or "2.5 t".
+export const formatPower = (control, value) => {
+  const v = value / (control.scale || 1);
+  return `${v.toFixed(v < 10 ? 1 : 0)} ${control.scaledUnit || control.unit}`;
+};
@@ -0,0 +1,31 @@
+// --- Siege Engine Registry ---
+// Each engine supplies its own launch mechanics and LAB parameters; the renderer's
+// models live in engineModels.js under the same keys. An engine is an object with:
+//   name, summary              shown in the LAB
+//   power, aim                 the two controls the solver drives: { key, label, abbr, min, max, step, unit }.
+//                              A higher aim value always means a steeper arc.
+//   params                     LAB sliders for the engine's own specs, and their `defaults`
+//   describe(p)                short build description for flight-log grouping
+//   load(p), rest(p)           launch state ("rig") cocked and after the throw
+//   payload(rig, p)            payload position in the world for a rig state
+//   launch(shot, p, dt)        advances the launch; sets shot.phase = "FLIGHT", shot.vel and shot.stalled on release
+//   settle(shot, p, dt)        follow-through of the empty engine while the shot is in flight
+import { mangonel } from "./mangonel.js";
+import { trebuchet } from "./trebuchet.js";
+import { ballista } from "./ballista.js";
+import { clampTo } from "./common.js";
+
+export { formatPower } from "./common.js";
+
+export const ENGINES = { mangonel, trebuchet, ballista };
+
+// Specs logged before engines existed have no `engine` field and were all mangonels.
+export const engineFor = (p) => ENGINES[p.engine] || mangonel;
+
+export const ENGINE_DEFAULTS = Object.assign({}, ...Object.values(ENGINES).map(e => e.defaults));
+
+// Specs switched to another engine, with its power and aim pulled inside its limits.
+export const withEngine = (specs, key) => {
+  const { power, aim } = ENGINES[key];
+  return { ...specs, engine: key, [power.key]: clampTo(power, specs[power.key]), [aim.key]: clampTo(aim, specs[aim.key]) };
+};
@@ -0,0 +1,104 @@
+// --- Mangonel ---
+// A torsion-bundle arm with a cup, thrown over the top against a stop bar.
+// `theta` is the arm's rotation about the axle (the model's arm pivot rotation.z).
+// The cup sits at (-armLength, CUP_OFFSET) in arm space, so theta > 0 puts it low
+// behind the axle and the throw is a clockwise (omega < 0) swing over the top.
+import { GRAVITY, DEG, traverse } from "./common.js";
+
+export const PIVOT_HEIGHT = 5.5;     // m, arm axle above ground
+export const CUP_OFFSET = 0.8;       // m, cup height above the arm beam
+export const LOADED_THETA = 0.5;     // rad, arm wound back, cup low behind the axle
+export const STOP_THETA = -2.67;     // rad, arm resting against the stop bar
+export const SPRING_LEVER = 0.9;     // m, moment arm of the tension bundle about the axle
+const ARM_SUBSTEPS = 8;
+
+const cupRadius = (p) => Math.hypot(p.armLength, CUP_OFFSET);
+
+// The cup offset tilts the tangential velocity by atan(CUP_OFFSET / armLength),
+// so release slightly later to leave the cup exactly along `p.angle`.
+export const releaseTheta = (p) => (p.angle - 90) * DEG + Math.atan2(CUP_OFFSET, p.armLength);
+
+// Cup position in world space for an arm rotated by `theta` about the axle.
+export const cupPosition = (theta, p) => {
+  const lx = -p.armLength, ly = CUP_OFFSET;
+  const c = Math.cos(theta), s = Math.sin(theta);
+  return traverse({ x: lx * c - ly * s, y: PIVOT_HEIGHT + lx * s + ly * c }, p);
+};
+
+// Cup velocity for an arm turning at `omega` (omega x r in the arm plane).
+export const cupVelocity = (theta, omega, p) => {
+  const lx = -p.armLength, ly = CUP_OFFSET;
+  const c = Math.cos(theta), s = Math.sin(theta);
+  return traverse({ x: -omega * (lx * s + ly * c), y: omega * (lx * c - ly * s) }, p);
+};
+
+// Moment of inertia about the axle: uniform beam pivoted at one end plus a point payload in the cup.
+export const armInertia = (p, loaded = true) =>
+  (p.armMass * p.armLength ** 2) / 3 + (loaded ? p.projMass * cupRadius(p) ** 2 : 0);
+
+// Net torque about the axle: tension bundle driving the throw, gravity on the beam and payload resisting it.
+export const armTorque = (theta, p, loaded = true) => {
+  const spring = -p.tension * SPRING_LEVER;
+  const beam = p.armMass * GRAVITY * (p.armLength / 2) * Math.cos(theta);
+  const cupX = -p.armLength * Math.cos(theta) - CUP_OFFSET * Math.sin(theta);
+  const payload = loaded ? -p.projMass * GRAVITY * cupX : 0;
+  return spring + beam + payload;
+};
+
+// Integrates the arm's rigid-body rotation over `dt`. Mutates and returns `arm` ({ theta, omega, alpha }).
+export const stepArm = (arm, p, dt, loaded = true) => {
+  arm.alpha = armTorque(arm.theta, p, loaded) / armInertia(p, loaded);
+  arm.omega += arm.alpha * dt;
+  arm.theta += arm.omega * dt;
+  return arm;
+};
+
+export const mangonel = {
+  name: "Mangonel",
+  summary: "Torsion-bundle arm and cup. Sets its launch angle directly and throws flat or lofted.",
+  power: { key: "tension", label: "Tension", abbr: "T", min: 1000, max: 50000, step: 100, unit: "N", scale: 1000, scaledUnit: "kN" },
+  aim: { key: "angle", label: "Angle", abbr: "A", min: 10, max: 80, step: 0.1, unit: "°" },
+  params: [
+    { key: "armLength", label: "Arm Length", min: 3, max: 10, step: 0.5, unit: "m" },
+    { key: "armMass", label: "Arm Mass", min: 10, max: 100, step: 1, unit: "kg" }
+  ],
+  defaults: {
+    tension: 4000,      // N
+    armLength: 6,       // m
+    armMass: 25         // kg
+  },
+  describe: (p) => `${p.armLength}m / ${p.armMass}kg arm`,
+
+  load: () => ({ theta: LOADED_THETA, omega: 0, alpha: 0 }),
+  rest: () => ({ theta: STOP_THETA, omega: 0, alpha: 0 }),
+  payload: (rig, p) => cupPosition(rig.theta, p),
+
+  // Swings the loaded arm; released at the release angle, or dropped where the arm stalls if the
+  // bundle cannot lift the payload.
+  launch(shot, p, dt) {
+    const release = releaseTheta(p), h = dt / ARM_SUBSTEPS;
+    for (let i = 0; i < ARM_SUBSTEPS && shot.phase === "SWING"; i++) {
+      const theta0 = shot.theta, omega0 = shot.omega;
+      stepArm(shot, p, h);
+      shot.stalled = shot.omega > 0;
+      if (shot.theta <= release || shot.stalled) {
+        if (!shot.stalled) {
+          // Interpolate the arm speed to the exact crossing so the release doesn't snap to the substep grid
+          const f = (theta0 - release) / (theta0 - shot.theta);
+          shot.omega = omega0 + (shot.omega - omega0) * f;
+          shot.theta = release;
+        }
+        shot.phase = "FLIGHT";
+        shot.vel = cupVelocity(shot.theta, shot.stalled ? 0 : shot.omega, p);
+      }
+    }
+    shot.pos = cupPosition(shot.theta, p);
+  },
+
+  // The unloaded arm carries on until it slams into the stop bar.
+  settle(shot, p, dt) {
+    if (shot.theta <= STOP_THETA) return;
+    stepArm(shot, p, dt, false);
+    if (shot.theta <= STOP_THETA) { shot.theta = STOP_THETA; shot.omega = 0; }
+  }
+};
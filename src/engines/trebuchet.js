@@ -0,0 +1,117 @@
+// --- Counterweight Trebuchet ---
+// A beam on a tall frame: a fixed counterweight on the short end drops and whips the long end
+// over the top, swinging the payload round in a sling. The sling is a pendulum hinged at the
+// beam tip, and the ring slips off the release pin once the sling has swung up to within
+// `releasePin` degrees of the beam's line. A wider pin lets go earlier, for a steeper arc.
+//
+// `theta` is the long arm's direction and `sling` the sling's direction from the tip, both
+// measured in the firing plane from +x (downrange) towards +y (up). The throw turns both clockwise.
+import { GRAVITY, DEG, traverse } from "./common.js";
+
+export const LOADED_BEAM = 210 * DEG;    // rad, long arm cocked 30° below horizontal behind the frame
+export const SHORT_ARM = 0.3;            // counterweight arm as a fraction of the long arm
+const SLING_CLEARANCE = 1;               // m, loaded payload hangs this far above the ground
+const HANGING = 270 * DEG;               // rad, sling hanging straight down
+const SUBSTEPS = 8;
+const SETTLE_DAMPING = 0.6;              // 1/s, frame friction once the payload has gone
+const SLING_SETTLE = 4;                  // 1/s, how fast the empty sling falls back to hanging
+
+// The frame is built tall enough for the loaded sling to hang clear of the ground.
+export const pivotHeight = (p) => -p.beamLength * Math.sin(LOADED_BEAM) + p.slingLength + SLING_CLEARANCE;
+
+// Pivot, beam tip, counterweight and payload in the firing plane for a rig pose.
+export const rigPoints = (rig, p) => {
+  const h = pivotHeight(p), c = Math.cos(rig.theta), s = Math.sin(rig.theta), short = p.beamLength * SHORT_ARM;
+  const tip = { x: p.beamLength * c, y: h + p.beamLength * s };
+  return {
+    pivot: { x: 0, y: h },
+    tip,
+    counterweight: { x: -short * c, y: h - short * s },
+    payload: { x: tip.x + p.slingLength * Math.cos(rig.sling), y: tip.y + p.slingLength * Math.sin(rig.sling) }
+  };
+};
+
+const payloadVelocity = (rig, p) => traverse({
+  x: -p.beamLength * rig.omega * Math.sin(rig.theta) - p.slingLength * rig.slingRate * Math.sin(rig.sling),
+  y: p.beamLength * rig.omega * Math.cos(rig.theta) + p.slingLength * rig.slingRate * Math.cos(rig.sling)
+}, p);
+
+// Beam inertia about the pivot (uniform beam from the short end to the tip) plus the counterweight,
+// and the beam's and counterweight's gravity moment per unit cos(theta).
+const beamInertia = (p) => {
+  const long = p.beamLength, short = long * SHORT_ARM;
+  return (p.beamMass * (long ** 3 + short ** 3)) / (3 * (long + short)) + p.counterweight * short ** 2;
+};
+const beamMoment = (p) => p.beamMass * (p.beamLength * (1 - SHORT_ARM)) / 2 - p.counterweight * p.beamLength * SHORT_ARM;
+
+// Integrates beam and sling together (the two-link pendulum's equations of motion, solved for both
+// angular accelerations each substep). Mutates and returns `rig`.
+export const stepRig = (rig, p, dt) => {
+  const L = p.beamLength, l = p.slingLength, m = p.projMass, d = rig.theta - rig.sling;
+  const a = beamInertia(p) + m * L * L, b = m * l * l, c = m * L * l * Math.cos(d), s = m * L * l * Math.sin(d);
+  const qBeam = -GRAVITY * Math.cos(rig.theta) * (beamMoment(p) + m * L) - s * rig.slingRate ** 2;
+  const qSling = -GRAVITY * m * l * Math.cos(rig.sling) + s * rig.omega ** 2;
+  const det = a * b - c * c;
+  rig.omega += ((qBeam * b - c * qSling) / det) * dt;
+  rig.slingRate += ((a * qSling - c * qBeam) / det) * dt;
+  rig.theta += rig.omega * dt;
+  rig.sling += rig.slingRate * dt;
+  return rig;
+};
+
+export const trebuchet = {
+  name: "Trebuchet",
+  summary: "Counterweight beam with a sling. Range comes from the counterweight; the release pin picks the arc.",
+  power: { key: "counterweight", label: "Counterweight", abbr: "CW", min: 500, max: 20000, step: 50, unit: "kg", scale: 1000, scaledUnit: "t" },
+  aim: { key: "releasePin", label: "Release Pin", abbr: "PIN", min: 45, max: 105, step: 0.1, unit: "°" },
+  params: [
+    { key: "beamLength", label: "Beam Length", min: 6, max: 16, step: 0.5, unit: "m" },
+    { key: "beamMass", label: "Beam Mass", min: 50, max: 500, step: 10, unit: "kg" },
+    { key: "slingLength", label: "Sling Length", min: 3, max: 12, step: 0.5, unit: "m" }
+  ],
+  defaults: {
+    counterweight: 3000, // kg
+    beamLength: 10,      // m, pivot to sling tip
+    beamMass: 150,       // kg
+    slingLength: 7,      // m
+    releasePin: 70       // deg, sling-to-beam angle at which the ring slips off
+  },
+  describe: (p) => `${p.beamLength}m beam / ${p.slingLength}m sling`,
+
+  load: () => ({ theta: LOADED_BEAM, omega: 0, sling: HANGING, slingRate: 0 }),
+  rest: () => ({ theta: 90 * DEG, omega: 0, sling: HANGING, slingRate: 0 }),
+  payload: (rig, p) => traverse(rigPoints(rig, p).payload, p),
+
+  // Drops the counterweight. The sling first trails, then whips round; it lets go on the way round
+  // once it is within `releasePin` of the beam. If the beam swings back first it stalls and drops the payload.
+  launch(shot, p, dt) {
+    const release = -p.releasePin * DEG, h = dt / SUBSTEPS;
+    for (let i = 0; i < SUBSTEPS && shot.phase === "SWING"; i++) {
+      const before = { theta: shot.theta, omega: shot.omega, sling: shot.sling, slingRate: shot.slingRate };
+      stepRig(shot, p, h);
+      const lead0 = before.theta - before.sling, lead = shot.theta - shot.sling;
+      shot.stalled = shot.omega > 0;
+      const released = !shot.stalled && lead >= release && shot.omega - shot.slingRate > 0;
+      if (released || shot.stalled) {
+        if (released && lead0 < release) {
+          // Interpolate to the exact crossing so the release doesn't snap to the substep grid
+          const f = (release - lead0) / (lead - lead0);
+          for (const k of ["theta", "omega", "sling", "slingRate"]) shot[k] = before[k] + (shot[k] - before[k]) * f;
+        }
+        shot.phase = "FLIGHT";
+        shot.vel = payloadVelocity(shot, p);
+      }
+    }
+    shot.pos = traverse(rigPoints(shot, p).payload, p);
+  },
+
+  // The empty beam swings on against the frame's friction and the sling drops back to hanging.
+  settle(shot, p, dt) {
+    const alpha = (-GRAVITY * Math.cos(shot.theta) * beamMoment(p)) / beamInertia(p);
+    shot.omega = (shot.omega + alpha * dt) * Math.exp(-SETTLE_DAMPING * dt);
+    shot.theta += shot.omega * dt;
+    const down = HANGING + 2 * Math.PI * Math.round((shot.sling - HANGING) / (2 * Math.PI));
+    shot.sling += (down - shot.sling) * (1 - Math.exp(-SLING_SETTLE * dt));
+    shot.slingRate = 0;
+  }
+};
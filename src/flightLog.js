@@ -0,0 +1,151 @@
+// --- Flight Log ---
+// Every impact is logged with a full snapshot of the specs that produced it, so
+// accuracy can be analysed per configuration across sessions.
+import { DEFAULT_SPECS } from "./ballistics.js";
+import { nextId } from "./ids.js";
+import { engineFor } from "./engines/index.js";
+
+const LOG_KEY = "catapult-commander.flight-log";
+const MAX_LOGS = 500;
+const MAX_TRAJECTORIES = 100; // newest entries that keep their recorded flight path in storage
+
+const SPEC_FIELDS = Object.keys(DEFAULT_SPECS);
+const RESULT_FIELDS = ["range", "error", "lateral", "miss"];
+const CSV_COLUMNS = ["id", "timestamp", ...RESULT_FIELDS, ...SPEC_FIELDS, "seed", "clock", "solverState", "autoCorrected", "missionId"];
+
+const round = (n, d = 2) => Math.round(n * 10 ** d) / 10 ** d;
+
+// `seed` is the shot's gust draw (sampleGust with createRng(seed)) and `clock` the scenario time (s) it was
+// fired at: with the specs they reproduce the shot exactly, moving target included.
+export const createLogEntry = (specs, impact, err, { solverState = "IDLE", autoCorrected = false, missionId = null, seed = null, clock = null, trajectory = null } = {}) => ({
+  id: nextId(),
+  timestamp: new Date().toISOString(),
+  range: round(Math.hypot(impact.x, impact.z)),
+  error: round(err.range),
+  lateral: round(err.lateral),
+  miss: round(err.miss),
+  specs: Object.fromEntries(SPEC_FIELDS.map(k => [k, specs[k]])),
+  seed,
+  clock,
+  solverState,
+  autoCorrected,
+  missionId,
+  trajectory
+});
+
+export const isHit = (log) => log.miss < (log.specs.targetRadius ?? DEFAULT_SPECS.targetRadius);
+
+// Groups logs that share the same physical engine build.
+export const configKey = (log) => {
+  const engine = engineFor(log.specs);
+  return `${engine.name} ${engine.describe(log.specs)}, ${log.specs.projMass}kg payload`;
+};
+
+// --- Persistence ---
+export const loadLogs = () => {
+  try { return JSON.parse(localStorage.getItem(LOG_KEY)) || []; } catch { return []; }
+};
+
+export const saveLogs = (logs) => {
+  const kept = logs.slice(-MAX_LOGS);
+  const stored = kept.map((l, i) => (i < kept.length - MAX_TRAJECTORIES && l.trajectory ? { ...l, trajectory: null } : l));
+  try { localStorage.setItem(LOG_KEY, JSON.stringify(stored)); } catch (e) { console.error(e); }
+};
+
+// Imported entries replace stored ones with the same id; the result stays in time order.
+export const mergeLogs = (logs, incoming) => {
+  const byId = new Map(logs.map(l => [l.id, l]));
+  incoming.forEach(l => byId.set(l.id, l));
+  return [...byId.values()].sort((a, b) => a.id - b.id).slice(-MAX_LOGS);
+};
+
+// --- Export / Import ---
+export const toJSON = (logs) => JSON.stringify(logs, null, 2);
+
+const finite = (v) => (v === null || v === undefined || v === "" ? NaN : Number(v));
+
+// An imported entry with its results as numbers and its specs filled in from DEFAULT_SPECS, or null if
+// it has no usable range and range error. A missing lateral error is 0 and a missing miss follows from both.
+const cleanEntry = (l) => {
+  const id = finite(l?.id), range = finite(l?.range), error = finite(l?.error);
+  if (![id, range, error].every(Number.isFinite) || !l.specs || typeof l.specs !== "object") return null;
+  const lateral = Number.isFinite(finite(l.lateral)) ? finite(l.lateral) : 0;
+  const miss = Number.isFinite(finite(l.miss)) ? finite(l.miss) : round(Math.hypot(error, lateral));
+  return { ...l, id, range, error, lateral, miss, specs: { ...DEFAULT_SPECS, ...l.specs } };
+};
+
+export const fromJSON = (text) => {
+  const data = JSON.parse(text);
+  if (!Array.isArray(data)) throw new Error("Flight log JSON must be an array of entries");
+  return data.map(cleanEntry).filter(Boolean);
+};
+
+const csvCell = (v) => {
+  if (v === null || v === undefined) return "";
+  const s = String(v);
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+export const toCSV = (logs) => {
+  const rows = logs.map(l => CSV_COLUMNS.map(c => csvCell(SPEC_FIELDS.includes(c) ? l.specs[c] : l[c])).join(","));
+  return [CSV_COLUMNS.join(","), ...rows].join("\n");
+};
+
+const parseCSVLine = (line) => {
+  const cells = [];
+  let cell = "", quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') { cell += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === ",") { cells.push(cell); cell = ""; }
+    else cell += ch;
+  }
+  cells.push(cell);
+  return cells;
+};
+
+export const fromCSV = (text) => {
+  const [header, ...lines] = text.trim().split(/\r?\n/);
+  const columns = parseCSVLine(header);
+  const missing = ["id", "range", "error"].filter(c => !columns.includes(c));
+  if (missing.length) throw new Error(`Flight log CSV is missing the ${missing.join(", ")} column${missing.length > 1 ? "s" : ""}`);
+  return lines.filter(Boolean).map(line => {
+    const cells = parseCSVLine(line);
+    const entry = { specs: { ...DEFAULT_SPECS } };
+    columns.forEach((c, i) => {
+      const raw = cells[i] ?? "";
+      if (SPEC_FIELDS.includes(c)) { if (raw !== "") entry.specs[c] = typeof DEFAULT_SPECS[c] === "string" ? raw : parseFloat(raw); }
+      else if (c === "id" || RESULT_FIELDS.includes(c)) entry[c] = parseFloat(raw);
+      else if (c === "seed") entry[c] = raw === "" ? null : parseInt(raw, 10);
+      else if (c === "clock") entry[c] = raw === "" ? null : parseFloat(raw);
+      else if (c === "autoCorrected") entry[c] = raw === "true";
+      else entry[c] = raw === "" ? null : raw;
+    });
+    return cleanEntry(entry);
+  }).filter(Boolean);
+};
+
+// --- Filtering / Sorting ---
+const DAY = 24 * 60 * 60 * 1000;
+
+export const SORTS = {
+  date: (a, b) => a.id - b.id,
+  error: (a, b) => a.miss - b.miss,
+  config: (a, b) => configKey(a).localeCompare(configKey(b)) || a.id - b.id
+};
+
+export const filterLogs = (logs, { result = "ALL", config = "ALL", days = 0 } = {}, now = Date.now()) =>
+  logs.filter(l =>
+    (result === "ALL" || (result === "HITS") === isHit(l)) &&
+    (config === "ALL" || configKey(l) === config) &&
+    (!days || now - l.id <= days * DAY)
+  );
+
+export const sortLogs = (logs, key = "date", descending = false) => {
+  const sorted = [...logs].sort(SORTS[key]);
+  return descending ? sorted.reverse() : sorted;
+};
@@ -0,0 +1,76 @@
+import { describe, it, expect } from "vitest";
+import { DEFAULT_SPECS } from "./ballistics.js";
+import { createLogEntry, toJSON, fromJSON, toCSV, fromCSV, mergeLogs, isHit } from "./flightLog.js";
+
+const entry = (miss, overrides = {}) => ({
+  ...createLogEntry({ ...DEFAULT_SPECS, ...overrides }, { x: 150 + miss, y: 0, z: 0 }, { range: miss, lateral: 0, miss }, { seed: 42, clock: 12.416, missionId: "m1" }),
+  trajectory: null
+});
+
+describe("flight log", () => {
+  it("snapshots the specs and judges hits by the target radius", () => {
+    const log = entry(3, { targetRadius: 4 });
+    expect(log.specs).toEqual({ ...DEFAULT_SPECS, targetRadius: 4 });
+    expect(isHit(log)).toBe(true);
+    expect(isHit(entry(6))).toBe(false);
+  });
+
+  it("gives entries logged in the same millisecond their own ids", () => {
+    const ids = Array.from({ length: 20 }, () => entry(1).id);
+    expect(new Set(ids).size).toBe(ids.length);
+  });
+
+  it("survives a JSON round trip", () => {
+    const logs = [entry(1.5), entry(-7.25, { engine: "trebuchet" })];
+    expect(fromJSON(toJSON(logs))).toEqual(logs);
+  });
+
+  it("survives a CSV round trip", () => {
+    const logs = [entry(1.5), entry(12.25, { targetStructure: "wall", wind: 3.5 })];
+    const back = fromCSV(toCSV(logs));
+    back.forEach((l, i) => {
+      const { trajectory, ...rest } = logs[i];
+      expect(l).toEqual(rest);
+    });
+  });
+
+  it("logs the scenario time the shot was fired at", () => {
+    expect(entry(1).clock).toBe(12.416);
+    expect(fromCSV(toCSV([{ ...entry(1), clock: null }]))[0].clock).toBeNull();
+  });
+
+  it("quotes cells that hold commas and quotes", () => {
+    const log = { ...entry(2), solverState: 'say "ready", then fire' };
+    expect(fromCSV(toCSV([log]))[0].solverState).toBe(log.solverState);
+  });
+
+  it("rejects JSON that is not a list of entries", () => {
+    expect(() => fromJSON("{}")).toThrow();
+    expect(fromJSON('[{"id": 1}, null]')).toEqual([]);
+  });
+
+  it("drops imported entries without a usable range and error, and fills in the rest", () => {
+    const log = entry(2);
+    const imported = fromJSON(JSON.stringify([
+      { ...log, range: undefined },
+      { ...log, id: 2, error: "far" },
+      { id: 3, range: "140.5", error: -9.5, specs: { engine: "mangonel", tension: 9000 } }
+    ]));
+    expect(imported).toHaveLength(1);
+    expect(imported[0]).toMatchObject({ id: 3, range: 140.5, error: -9.5, lateral: 0, miss: 9.5 });
+    expect(imported[0].specs).toEqual({ ...DEFAULT_SPECS, tension: 9000 });
+  });
+
+  it("imports an older CSV with columns missing", () => {
+    const back = fromCSV("id,range,error,tension\n5,120.5,-4,8000\n6,,3,8000\n7,130,2,");
+    expect(back.map(l => l.id)).toEqual([5, 7]);
+    expect(back[0]).toMatchObject({ lateral: 0, miss: 4, specs: { ...DEFAULT_SPECS, tension: 8000 } });
+    expect(back[1].specs.tension).toBe(DEFAULT_SPECS.tension);
+    expect(() => fromCSV("id,miss\n1,2")).toThrow("missing the range, error columns");
+  });
+
+  it("merges imports by id in time order", () => {
+    const a = { ...entry(1), id: 1 }, b = { ...entry(2), id: 2 }, b2 = { ...b, miss: 9 };
+    expect(mergeLogs([b, a], [b2])).toEqual([a, b2]);
+  });
+});
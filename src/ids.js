@@ -0,0 +1,6 @@
+// --- Ids ---
+// Ids for logged shots and saved presets are creation times (ms), bumped past the last one handed
+// out so items created or imported in the same millisecond stay apart and still sort in time order.
+let lastId = 0;
+
+export const nextId = () => (lastId = Math.max(Date.now(), lastId + 1));
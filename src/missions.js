@@ -0,0 +1,130 @@
+// --- Mission Campaigns ---
+// Missions are declared in missions.json. Any target field may be a fixed number
+// or a [min, max] range, rolled from the run's seed so a run replays exactly.
+// A target with a `motion` block moves along a scripted path (see motion.js), and one with a
+// `structure` is built from blocks that take damage (see structures.js); without one it is a marker.
+import MISSIONS from "./missions.json";
+import { createRng, roll } from "./random.js";
+
+export { MISSIONS };
+
+const PROGRESS_KEY = "catapult-commander.progress";
+
+// Bands are fractions of the target radius; anything outside the last band scores nothing.
+export const SCORE_BANDS = [
+  { label: "BULLSEYE", within: 0.25, points: 100 },
+  { label: "DIRECT HIT", within: 0.5, points: 75 },
+  { label: "HIT", within: 1, points: 50 },
+  { label: "NEAR MISS", within: 2, points: 10 }
+];
+
+export const scoreImpact = (miss, radius) => {
+  const band = SCORE_BANDS.find(b => miss <= b.within * radius);
+  return { label: band ? band.label : "MISS", points: band ? band.points : 0, hit: miss <= radius };
+};
+
+export const rollTargets = (mission, seed) => {
+  const rng = createRng(seed);
+  return mission.targets.map(t => ({
+    distance: Math.round(roll(rng, t.distance)),
+    bearing: Math.round(roll(rng, t.bearing || 0)),
+    radius: t.radius,
+    shots: t.shots,
+    structure: t.structure || "marker",
+    wind: parseFloat(roll(rng, t.wind?.speed || 0).toFixed(1)),
+    windHeading: Math.round(roll(rng, t.wind?.heading || 0)) % 360,
+    // Rolled last, and only for moving targets, so static missions roll exactly as before
+    motion: t.motion ? {
+      type: t.motion.type,
+      speed: parseFloat(roll(rng, t.motion.speed || 0).toFixed(1)),
+      heading: Math.round(roll(rng, t.motion.heading || 0)) % 360,
+      span: Math.round(roll(rng, t.motion.span || 0)),
+      accel: parseFloat(roll(rng, t.motion.accel || 0).toFixed(2))
+    } : null
+  }));
+};
+
+export const startRun = (mission, seed = mission.seed) => ({
+  missionId: mission.id,
+  seed,
+  targets: rollTargets(mission, seed),
+  index: 0,
+  shotsOnTarget: 0,
+  ammoLeft: mission.ammo,
+  impacts: [],
+  status: "ACTIVE"
+});
+
+export const currentTarget = (run) => run.targets[run.index];
+
+// The spec fields a target drives while a run is active.
+export const targetSpecs = (target) => ({
+  targetDist: target.distance,
+  targetBearing: target.bearing,
+  targetRadius: target.radius,
+  targetStructure: target.structure ?? "marker",
+  wind: target.wind,
+  windHeading: target.windHeading,
+  targetMotion: target.motion?.type ?? "static",
+  ...(target.motion && {
+    targetSpeed: target.motion.speed,
+    targetHeading: target.motion.heading,
+    targetSpan: target.motion.span,
+    targetAccel: target.motion.accel
+  })
+});
+
+// Returns the next run state after an impact `miss` metres from the current target, which dealt
+// `damage.dealt` J to its structure and left it `damage.destroyed` or not. A target is left once
+// it is hit or destroyed, or its shot allowance is spent; the run ends when every target is
+// resolved or the ammo runs out.
+export const recordImpact = (run, miss, damage = { dealt: 0, destroyed: false }) => {
+  if (run.status !== "ACTIVE") return run;
+  const target = currentTarget(run);
+  const score = scoreImpact(miss, target.radius);
+  const impacts = [...run.impacts, { target: run.index, miss, ...score, dealt: damage.dealt, destroyed: damage.destroyed }];
+  const shotsOnTarget = run.shotsOnTarget + 1;
+  const ammoLeft = run.ammoLeft - 1;
+  const advance = score.hit || damage.destroyed || shotsOnTarget >= target.shots;
+  const index = advance ? run.index + 1 : run.index;
+  const done = index >= run.targets.length || ammoLeft <= 0;
+  return { ...run, impacts, ammoLeft, index: done ? run.index : index, shotsOnTarget: advance ? 0 : shotsOnTarget, status: done ? "COMPLETE" : "ACTIVE" };
+};
+
+export const summarizeRun = (run, mission) => {
+  const score = run.impacts.reduce((sum, i) => sum + i.points, 0);
+  const hits = run.impacts.filter(i => i.hit).length;
+  const shots = run.impacts.length;
+  const perTarget = run.targets.map((t, i) => {
+    const impacts = run.impacts.filter(imp => imp.target === i);
+    return {
+      ...t,
+      shots: impacts.length,
+      destroyed: impacts.some(imp => imp.hit || imp.destroyed),
+      bestMiss: impacts.length ? Math.min(...impacts.map(imp => imp.miss)) : null,
+      damage: impacts.reduce((sum, imp) => sum + imp.dealt, 0),
+      points: impacts.reduce((sum, imp) => sum + imp.points, 0)
+    };
+  });
+  return {
+    score,
+    hits,
+    shots,
+    accuracy: shots ? hits / shots : 0,
+    destroyed: perTarget.filter(t => t.destroyed).length,
+    damage: perTarget.reduce((sum, t) => sum + t.damage, 0),
+    perTarget,
+    passed: score >= mission.passScore
+  };
+};
+
+// --- Progression ---
+// Tier 1 is always open; each later tier opens once every mission in the tier below is cleared.
+export const tierUnlocked = (tier, cleared) =>
+  MISSIONS.filter(m => m.tier < tier).every(m => cleared.includes(m.id));
+
+export const loadProgress = () => {
+  try { return JSON.parse(localStorage.getItem(PROGRESS_KEY)) || []; } catch { return []; }
+};
+
+export const saveProgress = (cleared) => localStorage.setItem(PROGRESS_KEY, JSON.stringify(cleared));
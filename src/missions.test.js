@@ -0,0 +1,83 @@
+import { describe, it, expect, vi } from "vitest";
+import { MISSIONS, scoreImpact, rollTargets, startRun, currentTarget, targetSpecs, recordImpact, summarizeRun, tierUnlocked, loadProgress, saveProgress } from "./missions.js";
+
+const calibration = MISSIONS.find(m => m.id === "range-calibration");
+const outposts = MISSIONS.find(m => m.id === "border-outposts");
+
+// Plays `misses` in order from the start of a run.
+const play = (mission, misses) => misses.reduce((run, miss) => recordImpact(run, miss), startRun(mission));
+
+describe("scoring", () => {
+  it("scores by fractions of the target radius", () => {
+    expect(scoreImpact(1, 8)).toEqual({ label: "BULLSEYE", points: 100, hit: true });
+    expect(scoreImpact(2, 8)).toMatchObject({ label: "BULLSEYE", points: 100 });
+    expect(scoreImpact(3, 8)).toMatchObject({ label: "DIRECT HIT", points: 75 });
+    expect(scoreImpact(8, 8)).toEqual({ label: "HIT", points: 50, hit: true });
+    expect(scoreImpact(12, 8)).toEqual({ label: "NEAR MISS", points: 10, hit: false });
+    expect(scoreImpact(17, 8)).toEqual({ label: "MISS", points: 0, hit: false });
+  });
+});
+
+describe("runs", () => {
+  it("rolls the same targets from the same seed", () => {
+    expect(rollTargets(outposts, 5)).toEqual(rollTargets(outposts, 5));
+    expect(rollTargets(outposts, 5)).not.toEqual(rollTargets(outposts, 6));
+    rollTargets(outposts, 5).forEach((t, i) => {
+      const spec = outposts.targets[i];
+      expect(t.distance).toBeGreaterThanOrEqual(spec.distance[0]);
+      expect(t.distance).toBeLessThanOrEqual(spec.distance[1]);
+    });
+  });
+
+  it("drives the specs from the current target", () => {
+    const run = startRun(outposts);
+    expect(targetSpecs(currentTarget(run))).toMatchObject({ targetDist: currentTarget(run).distance, targetStructure: "tower", targetMotion: "static" });
+    expect(targetSpecs(currentTarget(startRun(calibration))).targetStructure).toBe("marker");
+  });
+
+  it("moves on after a hit or once the target's shots are spent", () => {
+    const hit = play(calibration, [1]);
+    expect(hit).toMatchObject({ index: 1, shotsOnTarget: 0, ammoLeft: 8 });
+    expect(play(calibration, [30, 30])).toMatchObject({ index: 0, shotsOnTarget: 2 });
+    expect(play(calibration, [30, 30, 30])).toMatchObject({ index: 1, shotsOnTarget: 0 });
+  });
+
+  it("moves on from a destroyed structure however far the shot landed", () => {
+    const run = recordImpact(startRun(outposts), 9, { dealt: 20000, destroyed: true });
+    expect(run.index).toBe(1);
+    expect(run.impacts[0]).toMatchObject({ hit: false, destroyed: true, dealt: 20000 });
+  });
+
+  it("completes once every target is resolved or the ammo runs out", () => {
+    const cleared = play(calibration, [1, 1, 1]);
+    expect(cleared).toMatchObject({ status: "COMPLETE", index: 2 });
+    expect(recordImpact(cleared, 0)).toBe(cleared);
+    expect(play({ ...calibration, ammo: 2 }, [30, 30]).status).toBe("COMPLETE");
+  });
+
+  it("summarizes the score and passes on the mission's pass score", () => {
+    const summary = summarizeRun(play(calibration, [1, 30, 3, 6]), calibration);
+    expect(summary).toMatchObject({ score: 100 + 0 + 75 + 50, hits: 3, shots: 4, accuracy: 0.75, destroyed: 3, passed: true });
+    expect(summary.perTarget.map(t => t.shots)).toEqual([1, 2, 1]);
+    expect(summary.perTarget[1].bestMiss).toBe(3);
+    expect(summarizeRun(play(calibration, [12, 12, 12]), calibration)).toMatchObject({ score: 30, passed: false });
+  });
+});
+
+describe("progression", () => {
+  it("opens each tier once the tier below is cleared", () => {
+    expect(tierUnlocked(1, [])).toBe(true);
+    expect(tierUnlocked(2, ["range-calibration"])).toBe(false);
+    expect(tierUnlocked(2, ["range-calibration", "border-outposts"])).toBe(true);
+    expect(tierUnlocked(3, ["range-calibration", "border-outposts"])).toBe(false);
+  });
+
+  it("keeps the cleared missions in storage", () => {
+    const store = {};
+    vi.stubGlobal("localStorage", { getItem: k => store[k] ?? null, setItem: (k, v) => { store[k] = v; } });
+    expect(loadProgress()).toEqual([]);
+    saveProgress(["range-calibration"]);
+    expect(loadProgress()).toEqual(["range-calibration"]);
+    vi.unstubAllGlobals();
+  });
+});
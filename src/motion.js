@@ -0,0 +1,48 @@
+// --- Target Motion ---
+// Scripted paths for moving targets. A target starts at its targetDist / targetBearing
+// point and travels along `targetHeading` over a path `targetSpan` m long:
+//   linear        constant speed to the end of the path, then it starts the run again
+//   patrol        constant speed back and forth along the path
+//   accelerating  starts at targetSpeed and speeds up by targetAccel, restarting at the end
+// Time is the scenario clock in seconds since the target appeared.
+import { DEG } from "./engines/common.js";
+
+export const MOTIONS = ["static", "linear", "patrol", "accelerating"];
+
+export const isMoving = (p) => !!p.targetMotion && p.targetMotion !== "static";
+
+// Distance travelled along the path after `t` seconds.
+const travel = (p, t) => {
+  const span = p.targetSpan, v = p.targetSpeed, a = p.targetAccel;
+  if (!span || t <= 0) return 0;
+  switch (p.targetMotion) {
+    case "linear":
+      return (v * t) % span;
+    case "patrol": {
+      const d = (v * t) % (2 * span);
+      return d <= span ? d : 2 * span - d;
+    }
+    case "accelerating": {
+      // Duration of one run from v0 = targetSpeed to the end of the path
+      const run = a > 0 ? (Math.sqrt(v * v + 2 * a * span) - v) / a : span / v;
+      const s = Number.isFinite(run) ? t % run : t;
+      return Math.min(span, v * s + 0.5 * a * s * s);
+    }
+    default:
+      return 0;
+  }
+};
+
+// Offset (x, z) of the target from its starting point after `t` seconds.
+export const targetOffset = (p, t) => {
+  if (!isMoving(p)) return { x: 0, z: 0 };
+  const d = travel(p, t), h = (p.targetHeading || 0) * DEG;
+  return { x: Math.cos(h) * d, z: Math.sin(h) * d };
+};
+
+// End point of the path relative to the start, for drawing it.
+export const pathOffset = (p) => {
+  if (!isMoving(p)) return { x: 0, z: 0 };
+  const h = (p.targetHeading || 0) * DEG;
+  return { x: Math.cos(h) * p.targetSpan, z: Math.sin(h) * p.targetSpan };
+};
@@ -0,0 +1,36 @@
+import { describe, it, expect } from "vitest";
+import { isMoving, targetOffset, pathOffset } from "./motion.js";
+
+const path = { targetSpeed: 4, targetHeading: 90, targetSpan: 60, targetAccel: 0.5 };
+const along = (motion, t) => targetOffset({ ...path, targetMotion: motion }, t).z;
+
+describe("target motion", () => {
+  it("keeps a static target still", () => {
+    expect(isMoving({ targetMotion: "static" })).toBe(false);
+    expect(targetOffset({ ...path, targetMotion: "static" }, 10)).toEqual({ x: 0, z: 0 });
+  });
+
+  it("runs a linear path and starts it again at the end", () => {
+    expect(along("linear", 5)).toBeCloseTo(20);
+    expect(along("linear", 16)).toBeCloseTo(4);
+  });
+
+  it("patrols back and forth", () => {
+    expect(along("patrol", 10)).toBeCloseTo(40);
+    expect(along("patrol", 20)).toBeCloseTo(40);
+    expect(along("patrol", 30)).toBeCloseTo(0);
+  });
+
+  it("speeds up along an accelerating path", () => {
+    expect(along("accelerating", 4)).toBeCloseTo(4 * 4 + 0.5 * 0.5 * 16);
+    const run = (Math.sqrt(16 + 2 * 0.5 * 60) - 4) / 0.5;
+    expect(along("accelerating", run + 1)).toBeCloseTo(4.25);
+  });
+
+  it("travels along the heading", () => {
+    const o = targetOffset({ ...path, targetMotion: "linear", targetHeading: 0 }, 5);
+    expect(o.x).toBeCloseTo(20);
+    expect(o.z).toBeCloseTo(0);
+    expect(pathOffset({ ...path, targetMotion: "linear" }).z).toBeCloseTo(60);
+  });
+});
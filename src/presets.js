@@ -0,0 +1,99 @@
+// --- Presets & Sharing ---
+// Named configurations saved in the browser, and whole scenarios packed into the URL hash.
+// A catapult preset carries the engine build, payload and firing controls; a mission preset
+// also carries the target, wind, site and battlefield. Specs missing from an older preset or
+// link fall back to DEFAULT_SPECS, so both keep loading as new fields are added.
+import { DEFAULT_SPECS } from "./ballistics.js";
+import { nextId } from "./ids.js";
+
+const PRESET_KEY = "catapult-commander.presets";
+const HASH_PREFIX = "#scenario=";
+
+export const PRESET_KINDS = { catapult: "Catapult", mission: "Mission" };
+
+// The situation rather than the machine: a catapult preset leaves these as they are.
+const SCENARIO_FIELDS = [
+  "azimuth", "targetDist", "targetBearing", "targetRadius", "targetMotion", "targetSpeed", "targetHeading", "targetSpan", "targetAccel",
+  "targetStructure", "wind", "windHeading", "windGust", "elevation", "temperature", "pressure"
+];
+const CATAPULT_FIELDS = Object.keys(DEFAULT_SPECS).filter(k => !SCENARIO_FIELDS.includes(k));
+
+const pick = (specs, fields) => Object.fromEntries(fields.filter(k => k in specs).map(k => [k, specs[k]]));
+
+// Keeps only known spec fields holding the same type as their default.
+const cleanSpecs = (specs) =>
+  Object.fromEntries(Object.entries(specs || {}).filter(([k, v]) => k in DEFAULT_SPECS && typeof v === typeof DEFAULT_SPECS[k] && (typeof v !== "number" || Number.isFinite(v))));
+
+// Heightmaps are image data, too big for storage or a link; only generated terrain is kept.
+const cleanBattlefield = (b) => ({
+  seed: Number.isInteger(b?.seed) ? b.seed : 1,
+  relief: Number.isFinite(b?.relief) ? b.relief : 0,
+  obstacles: Boolean(b?.obstacles),
+  heightmap: null
+});
+
+export const createPreset = (name, kind, specs, battlefield) => ({
+  id: nextId(),
+  name: name.trim(),
+  kind,
+  specs: kind === "mission" ? { ...specs } : pick(specs, CATAPULT_FIELDS),
+  ...(kind === "mission" ? { battlefield: { seed: battlefield.seed, relief: battlefield.relief, obstacles: battlefield.obstacles } } : {})
+});
+
+/**
+ * The setup a preset produces from the current one. Catapult presets swap the machine and keep the
+ * scenario; mission presets replace everything, including the battlefield.
+ *
+ * @returns {{ specs: object, battlefield: object|null }}  battlefield is null when it should stay as it is
+ */
+export const applyPreset = (preset, specs) => preset.kind === "mission"
+  ? { specs: { ...DEFAULT_SPECS, ...cleanSpecs(preset.specs) }, battlefield: cleanBattlefield(preset.battlefield) }
+  : { specs: { ...specs, ...pick(cleanSpecs(preset.specs), CATAPULT_FIELDS) }, battlefield: null };
+
+// --- Persistence ---
+export const loadPresets = () => {
+  try { return JSON.parse(localStorage.getItem(PRESET_KEY)) || []; } catch { return []; }
+};
+
+export const savePresets = (presets) => {
+  try { localStorage.setItem(PRESET_KEY, JSON.stringify(presets)); } catch (e) { console.error(e); }
+};
+
+// Imported presets replace stored ones with the same name and kind.
+export const mergePresets = (presets, incoming) => {
+  const key = (p) => `${p.kind}:${p.name}`;
+  const replaced = new Set(incoming.map(key));
+  return [...presets.filter(p => !replaced.has(key(p))), ...incoming];
+};
+
+// --- Export / Import ---
+export const toJSON = (presets) => JSON.stringify(presets, null, 2);
+
+// Accepts a single exported preset or an array of them. Imports get fresh ids, so they never clash with stored presets.
+export const fromJSON = (text) => {
+  const data = JSON.parse(text);
+  const list = Array.isArray(data) ? data : [data];
+  const valid = list.filter(p => p && typeof p.name === "string" && p.name.trim() && Object.hasOwn(PRESET_KINDS, p.kind) && p.specs && typeof p.specs === "object");
+  if (!valid.length) throw new Error("No presets found in file");
+  return valid.map(p => ({ ...p, id: nextId() }));
+};
+
+// --- Share Links ---
+// The hash holds base64url JSON of the specs that differ from DEFAULT_SPECS, plus the battlefield.
+const toBase64Url = (text) => btoa(String.fromCharCode(...new TextEncoder().encode(text))).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+const fromBase64Url = (code) => new TextDecoder().decode(Uint8Array.from(atob(code.replace(/-/g, "+").replace(/_/g, "/")), c => c.charCodeAt(0)));
+
+export const encodeScenario = (specs, battlefield) => {
+  const changed = Object.fromEntries(Object.entries(specs).filter(([k, v]) => k in DEFAULT_SPECS && v !== DEFAULT_SPECS[k]));
+  const { seed, relief, obstacles } = battlefield;
+  return HASH_PREFIX + toBase64Url(JSON.stringify({ specs: changed, battlefield: { seed, relief, obstacles } }));
+};
+
+// Returns { specs, battlefield } for a share-link hash, or null if it holds no readable scenario.
+export const decodeScenario = (hash) => {
+  if (!hash?.startsWith(HASH_PREFIX)) return null;
+  try {
+    const data = JSON.parse(fromBase64Url(hash.slice(HASH_PREFIX.length)));
+    return { specs: { ...DEFAULT_SPECS, ...cleanSpecs(data.specs) }, battlefield: cleanBattlefield(data.battlefield) };
+  } catch { return null; }
+};
@@ -0,0 +1,67 @@
+import { describe, it, expect } from "vitest";
+import { DEFAULT_SPECS } from "./ballistics.js";
+import { createPreset, applyPreset, mergePresets, toJSON, fromJSON, encodeScenario, decodeScenario } from "./presets.js";
+
+const battlefield = { seed: 7, relief: 20, obstacles: true, heightmap: null };
+const tuned = { ...DEFAULT_SPECS, engine: "trebuchet", counterweight: 5200, releasePin: 64, projMass: 25, targetDist: 320, wind: 7.5 };
+
+describe("presets", () => {
+  it("survives an export and import", () => {
+    const presets = [createPreset(" Heavy ", "catapult", tuned, battlefield), createPreset("Siege", "mission", tuned, battlefield)];
+    const withoutId = ({ id, ...rest }) => rest;
+    expect(fromJSON(toJSON(presets)).map(withoutId)).toEqual(presets.map(withoutId));
+    expect(fromJSON(JSON.stringify(presets[1])).map(withoutId)).toEqual([withoutId(presets[1])]);
+  });
+
+  it("gives a re-imported export new ids", () => {
+    const stored = [createPreset("Heavy", "catapult", tuned, battlefield)];
+    const [back] = fromJSON(toJSON(stored));
+    expect(back.id).not.toBe(stored[0].id);
+  });
+
+  it("swaps the machine and keeps the scenario for a catapult preset", () => {
+    const preset = createPreset("Heavy", "catapult", tuned, battlefield);
+    expect(preset.name).toBe("Heavy");
+    const { specs, battlefield: field } = applyPreset(preset, DEFAULT_SPECS);
+    expect(specs).toMatchObject({ engine: "trebuchet", counterweight: 5200, releasePin: 64, projMass: 25 });
+    expect(specs.targetDist).toBe(DEFAULT_SPECS.targetDist);
+    expect(specs.wind).toBe(DEFAULT_SPECS.wind);
+    expect(field).toBeNull();
+  });
+
+  it("replaces everything for a mission preset and drops unknown specs", () => {
+    const preset = createPreset("Siege", "mission", { ...tuned, bogus: 1, wind: "strong" }, battlefield);
+    const { specs, battlefield: field } = applyPreset(preset, { ...DEFAULT_SPECS, angle: 70 });
+    expect(specs).toEqual({ ...tuned, wind: DEFAULT_SPECS.wind });
+    expect(field).toEqual(battlefield);
+  });
+
+  it("replaces stored presets with the same name and kind on import", () => {
+    const old = createPreset("Heavy", "catapult", DEFAULT_SPECS, battlefield), other = createPreset("Heavy", "mission", DEFAULT_SPECS, battlefield);
+    const incoming = createPreset("Heavy", "catapult", tuned, battlefield);
+    expect(mergePresets([old, other], [incoming])).toEqual([other, incoming]);
+  });
+
+  it("packs a scenario into a share link", () => {
+    const hash = encodeScenario(tuned, battlefield);
+    expect(hash).toMatch(/^#scenario=[\w-]+$/);
+    expect(decodeScenario(hash)).toEqual({ specs: tuned, battlefield });
+    expect(decodeScenario("#scenario=not-json")).toBeNull();
+    expect(decodeScenario("#other")).toBeNull();
+  });
+
+  it("only imports the known kinds", () => {
+    const preset = (kind) => ({ name: "Test", kind, specs: {} });
+    expect(fromJSON(JSON.stringify([preset("catapult"), preset("mission")]))).toHaveLength(2);
+    for (const kind of ["toString", "constructor", "__proto__", "siege"]) {
+      expect(() => fromJSON(JSON.stringify(preset(kind)))).toThrow("No presets found");
+    }
+  });
+
+  it("gives presets made or imported together their own ids", () => {
+    const made = Array.from({ length: 5 }, (_, i) => createPreset(`P${i}`, "catapult", DEFAULT_SPECS, battlefield));
+    const imported = fromJSON(JSON.stringify(Array.from({ length: 5 }, (_, i) => ({ name: `I${i}`, kind: "mission", specs: {} }))));
+    const ids = [...made, ...imported].map(p => p.id);
+    expect(new Set(ids).size).toBe(ids.length);
+  });
+});
@@ -0,0 +1,21 @@
+// --- Projectile Presets ---
+// Each preset sets the payload's mass, diameter and drag coefficient together.
+// Any other combination shows up as "custom" in the ENVIRONMENT panel.
+
+export const PROJECTILES = {
+  stone: { name: "Stone Sphere", projMass: 10, diameter: 0.19, drag: 0.47 },
+  clay: { name: "Clay Pot", projMass: 6, diameter: 0.3, drag: 0.6 },
+  iron: { name: "Iron Ball", projMass: 15, diameter: 0.155, drag: 0.47 }
+};
+
+const FIELDS = ["projMass", "diameter", "drag"];
+
+// Preset key whose values the specs currently match, or "custom".
+export const matchProjectile = (specs) =>
+  Object.keys(PROJECTILES).find(k => FIELDS.every(f => PROJECTILES[k][f] === specs[f])) || "custom";
+
+// Specs with a preset's payload applied.
+export const withProjectile = (specs, key) => ({
+  ...specs,
+  ...Object.fromEntries(FIELDS.map(f => [f, PROJECTILES[key][f]]))
+});
@@ -0,0 +1,21 @@
+// --- Seeded Randomness ---
+// Mulberry32: tiny, fast and fully deterministic for a given 32-bit seed,
+// so missions and scenarios replay identically from their seed.
+export const createRng = (seed) => {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Resolves a JSON value that is either a fixed number or a [min, max] range.
+export const roll = (rng, value) => (Array.isArray(value) ? value[0] + rng() * (value[1] - value[0]) : value);
+
+export const randomSeed = () => Math.floor(Math.random() * 1e9);
+
+// Standard normal deviate (Box-Muller); always draws two values so sequences stay aligned.
+export const normal = (rng) => Math.sqrt(-2 * Math.log(1 - rng())) * Math.cos(2 * Math.PI * rng());
@@ -0,0 +1,278 @@
+// --- Firing Solver ---
+// Pure, headless fire control on top of the ballistics engine. Runs inside
+// solver.worker.js in the app, and can be imported directly from Node.
+import { simulate, impactError, targetPosition, DEFAULT_DT } from "./ballistics.js";
+import { FLAT_WORLD, groundHeight } from "./terrain.js";
+import { isMoving } from "./motion.js";
+import { engineFor, formatPower } from "./engines/index.js";
+import { disperse, DEFAULT_VARIATION } from "./dispersion.js";
+import { withStructure } from "./structures.js";
+
+// The solver drives two controls of whatever engine is selected: its `power` (tension, counterweight...)
+// and its `aim` (launch angle, release pin...), within the same limits as their sliders. A higher aim is
+// always a steeper arc, so "angle" below means the aim control and "tension" the power control.
+
+const GOLDEN = (Math.sqrt(5) - 1) / 2;
+const REACH_FACTOR = 10;       // how far past the tension limit we look when explaining an unreachable target
+const AZIMUTH_PASSES = 4;
+const EDGE_TOLERANCE = 0.5;    // m an angle-limit shot may land long and still count as on target
+const CLEARANCE_STEPS = 8;     // tensions tried per arc when the first solution is blocked
+const INTERCEPT_PASSES = 6;    // lead iterations per arc: aim where the target will be when the shot lands
+const FIRE_WINDOW = 12;        // s after the earliest fire time searched for a firing window
+const FIRE_STEP = 1;           // s between firing times tried
+const HIT_STEPS = 6;           // tensions tried per arc when maximising hit probability
+const HIT_SHOTS = 60;          // dispersion shots per candidate, on the same seed for every candidate
+const ARC_SPLIT = 5;           // aim (deg) the lofted arc must clear the flat one by to count as a different shot
+
+// A solve works on a job: the specs, the engine's two controls, the real world and the `aim` world,
+// a flat floor at the target's height. Arcs are searched against the floor, where range varies smoothly
+// with angle and tension, and then checked against the real terrain, the obstacles and the target's
+// structure, so a shot that meets the structure's face is predicted to land there.
+const createJob = (specs, world, structure) => {
+  const t = targetPosition(specs), { power, aim } = engineFor(specs);
+  return { specs, power, angle: aim, world: withStructure(world, structure, specs), aim: { terrain: null, obstacles: [], floor: groundHeight(world, t.x, t.z) } };
+};
+
+// One shot with the given overrides: signed distance error along the ground and the full result.
+// A shot that never climbs to the floor counts as short by the height it is missing.
+const shoot = (job, tension, angle, azimuth, world = job.aim) => {
+  const { specs } = job;
+  const r = simulate({ ...specs, [job.power.key]: tension, [job.angle.key]: angle, azimuth }, { world });
+  const impact = r.impact || r.trajectory[r.trajectory.length - 1];
+  const shortfall = (world.floor || 0) - impact.y;
+  const gap = Math.hypot(impact.x, impact.z) - specs.targetDist;
+  return {
+    impact,
+    struck: r.struck,
+    flightTime: r.flightTime,
+    releaseTime: r.releaseTime,
+    gap: !world.terrain && shortfall > 0.5 ? Math.min(gap, -shortfall) : gap,
+    error: impactError(impact, specs)
+  };
+};
+
+// Golden-section search for the angle of maximum range at a fixed tension (range is unimodal in angle).
+const maxRangeAngle = (job, tension, azimuth, iterations = 22) => {
+  let lo = job.angle.min, hi = job.angle.max;
+  let a = hi - GOLDEN * (hi - lo), b = lo + GOLDEN * (hi - lo);
+  let fa = shoot(job, tension, a, azimuth).gap, fb = shoot(job, tension, b, azimuth).gap;
+  for (let i = 0; i < iterations; i++) {
+    if (fa > fb) { hi = b; b = a; fb = fa; a = hi - GOLDEN * (hi - lo); fa = shoot(job, tension, a, azimuth).gap; }
+    else { lo = a; a = b; fa = fb; b = lo + GOLDEN * (hi - lo); fb = shoot(job, tension, b, azimuth).gap; }
+  }
+  const angle = (lo + hi) / 2;
+  return { angle, gap: shoot(job, tension, angle, azimuth).gap };
+};
+
+// Bisection for a root of f on [lo, hi], given f(lo) and f(hi) of opposite sign.
+const bisect = (f, lo, hi, iterations = 30) => {
+  let flo = f(lo);
+  for (let i = 0; i < iterations; i++) {
+    const mid = (lo + hi) / 2, fm = f(mid);
+    if (Math.sign(fm) === Math.sign(flo)) { lo = mid; flo = fm; } else hi = mid;
+  }
+  return (lo + hi) / 2;
+};
+
+// Least tension whose best-angle shot reaches the target, searching up to `cap`.
+const minimumTension = (job, azimuth, cap) => {
+  if (maxRangeAngle(job, cap, azimuth).gap < 0) return null;
+  if (maxRangeAngle(job, job.power.min, azimuth).gap >= 0) return job.power.min;
+  return bisect(t => maxRangeAngle(job, t, azimuth, 16).gap, job.power.min, cap, 24);
+};
+
+// Least tension to reach the target once the catapult is traversed to cancel the crosswind drift.
+// Traversing changes how much of the wind is head- or tailwind, so the two are solved together.
+const reach = (job, cap) => {
+  const { specs } = job;
+  let azimuth = specs.targetBearing;
+  for (let i = 0; ; i++) {
+    const needed = minimumTension(job, azimuth, cap);
+    if (needed === null) return { needed, azimuth };
+    const { error } = shoot(job, needed, maxRangeAngle(job, needed, azimuth).angle, azimuth);
+    if (Math.abs(error.lateral) < 0.05 || i === AZIMUTH_PASSES) return { needed, azimuth };
+    azimuth -= Math.atan2(error.lateral, specs.targetDist) * (180 / Math.PI);
+  }
+};
+
+// Tension for the lowest-elevation shot within the limits: the flattest, fastest way onto the target.
+const flattestTension = (job, azimuth) => {
+  const { power } = job, f = t => shoot(job, t, job.angle.min, azimuth).gap;
+  if (f(power.max) < 0) return power.max;
+  if (f(power.min) >= 0) return power.min;
+  return Math.ceil(bisect(f, power.min, power.max));
+};
+
+// Flat (below the max-range angle) or lofted (above it) angle that lands on the target range at `tension`.
+const arcAngle = (job, tension, azimuth, arc) => {
+  const peak = maxRangeAngle(job, tension, azimuth);
+  if (peak.gap < 0) return null;
+  const edge = arc === "LOW" ? job.angle.min : job.angle.max;
+  const overshoot = shoot(job, tension, edge, azimuth).gap;
+  if (overshoot > EDGE_TOLERANCE) return null;
+  if (overshoot >= 0) return edge;
+  const f = a => shoot(job, tension, a, azimuth).gap;
+  return arc === "LOW" ? bisect(f, edge, peak.angle) : bisect(f, peak.angle, edge);
+};
+
+// Traverses onto the target line: swing off the lateral drift, then re-solve the angle at the new azimuth.
+const refineArc = (job, tension, arc, azimuth) => {
+  for (let i = 0; ; i++) {
+    const angle = arcAngle(job, tension, azimuth, arc);
+    if (angle === null) return null;
+    const { error } = shoot(job, tension, angle, azimuth);
+    if (Math.abs(error.lateral) < 0.05 || i === AZIMUTH_PASSES) return { angle, azimuth };
+    azimuth -= Math.atan2(error.lateral, job.specs.targetDist) * (180 / Math.PI);
+  }
+};
+
+// What a shot runs into before the target in the real world: an obstacle's kind, "terrain", or null if it gets through.
+// Striking the target's own structure is getting through.
+const blocker = (job, check) => {
+  if (check.struck) return check.struck.kind === "target" ? null : check.struck.kind;
+  return check.error.miss > Math.max(1, job.specs.targetRadius / 2) ? "terrain" : null;
+};
+
+// Rounds a solution to what the controls can set and reports where the rounded shot really lands.
+const finalize = (job, tension, arc, solution) => {
+  const s = {
+    arc,
+    power: Math.min(job.power.max, Math.ceil(tension)),
+    aim: Math.round(solution.angle * 10) / 10,
+    azimuth: Math.round(solution.azimuth * 10) / 10
+  };
+  const check = shoot(job, s.power, s.aim, s.azimuth, job.world);
+  return { ...s, flightTime: check.flightTime, releaseTime: check.releaseTime, impact: check.impact, error: check.error, blocked: blocker(job, check) };
+};
+
+// Solution for one arc. If the arc at the preferred tension is blocked, steps the tension towards `limit`
+// (the flat arc flattens and the lofted arc steepens as tension rises) until one clears.
+const clearArc = (job, tension, limit, arc, azimuth) => {
+  const first = refineArc(job, tension, arc, azimuth);
+  const best = first && finalize(job, tension, arc, first);
+  if (!best || !best.blocked) return { solution: best, blocked: null };
+  for (let i = 1; i <= CLEARANCE_STEPS; i++) {
+    const t = tension + ((limit - tension) * i) / CLEARANCE_STEPS;
+    const angle = arcAngle(job, t, best.azimuth, arc);
+    if (angle === null || blocker(job, shoot(job, t, angle, best.azimuth, job.world))) continue;
+    const refined = refineArc(job, t, arc, best.azimuth);
+    const solution = refined && finalize(job, t, arc, refined);
+    if (solution && !solution.blocked) return { solution, blocked: null };
+  }
+  return { solution: null, blocked: best.blocked };
+};
+
+// The arc most likely to hit under shot-to-shot variation: tries tensions from the least that reaches
+// up to the limit and keeps the clear solution whose dispersion lands inside the target most often.
+const likeliestArc = (job, least, arc, azimuth, variation) => {
+  let best = null, blocked = null;
+  for (let i = 0; i <= HIT_STEPS; i++) {
+    const t = least + ((job.power.max - least) * i) / HIT_STEPS;
+    const refined = refineArc(job, t, arc, best?.azimuth ?? azimuth);
+    const solution = refined && finalize(job, t, arc, refined);
+    if (!solution) continue;
+    if (solution.blocked) { blocked = blocked || solution.blocked; continue; }
+    const shot = { ...job.specs, [job.power.key]: solution.power, [job.angle.key]: solution.aim, azimuth: solution.azimuth };
+    const { hitProbability } = disperse(shot, { shots: HIT_SHOTS, variation, world: job.world });
+    if (!best || hitProbability > best.hitProbability) best = { ...solution, hitProbability };
+  }
+  return { solution: best, blocked: best ? null : blocked };
+};
+
+const solveStatic = (specs, { objective = "tension", world = FLAT_WORLD, structure = null, variation = DEFAULT_VARIATION } = {}) => {
+  const base = { feasible: false, objective, low: null, high: null, reason: null };
+  const job = createJob(specs, world, structure), { power } = job, fmt = (v) => formatPower(power, v);
+
+  const { needed, azimuth } = reach(job, power.max * REACH_FACTOR);
+  if (needed === null) return { ...base, reason: `Out of reach: needs over ${fmt(power.max * REACH_FACTOR)}, max ${fmt(power.max)}` };
+  if (needed > power.max) return { ...base, reason: `Out of range: needs ${fmt(needed)}, max ${fmt(power.max)}` };
+
+  const least = Math.min(power.max, Math.ceil(needed * 1.001));
+  const [tension, limit] = objective === "time" ? [flattestTension(job, azimuth), least] : [least, power.max];
+  const [low, high] = ["LOW", "HIGH"].map(arc => objective === "hit" ? likeliestArc(job, least, arc, azimuth, variation) : clearArc(job, tension, limit, arc, azimuth));
+
+  if (!low.solution && !high.solution) {
+    const blocked = low.blocked || high.blocked;
+    if (blocked) return { ...base, reason: `No clear arc: every shot within the limits hits the ${blocked}` };
+    const shortest = shoot(job, tension, job.angle.max, azimuth);
+    return { ...base, reason: `Inside minimum range: at ${fmt(tension)} the steepest shot (${job.angle.label.toLowerCase()} ${job.angle.max}${job.angle.unit}) lands ${shortest.gap.toFixed(0)} m long` };
+  }
+  return { ...base, feasible: true, low: low.solution, high: high.solution };
+};
+
+// --- Intercepts ---
+// Static specs with the target frozen where it will be at scenario time `t`.
+const frozenAt = (specs, t) => {
+  const q = targetPosition(specs, t);
+  return { ...specs, targetMotion: "static", targetDist: Math.hypot(q.x, q.z), targetBearing: Math.atan2(q.z, q.x) * (180 / Math.PI) };
+};
+
+// Lead iteration for one arc fired at `fireAt`: solve for where the target is at the guessed impact
+// time, fly that solution to get a better impact time, and repeat until the two agree.
+const interceptArc = (specs, options, fireAt, arc, first) => {
+  let sol = first;
+  for (let i = 0; sol && i < INTERCEPT_PASSES; i++) {
+    const impactAt = fireAt + sol.releaseTime + sol.flightTime;
+    const next = solveStatic(frozenAt(specs, impactAt), options)[arc === "LOW" ? "low" : "high"];
+    if (!next) return null;
+    const settled = Math.abs(next.releaseTime + next.flightTime - sol.releaseTime - sol.flightTime) < 0.005;
+    sol = next;
+    if (settled) break;
+  }
+  if (!sol) return null;
+  const impactAt = fireAt + sol.releaseTime + sol.flightTime;
+  return { ...sol, fireAt, impactAt, intercept: targetPosition(specs, impactAt), error: impactError(sol.impact, specs, impactAt) };
+};
+
+// Earliest firing time from `fireAfter` (on the `dt` grid the engine steps on) with a solution on either arc.
+const solveIntercept = (specs, { fireAfter = 0, dt = DEFAULT_DT, ...options }) => {
+  // Each pass that maximises hit probability is a dozen dispersion runs, so the lead is first
+  // converged on the least-power arc and only then refined for the best odds.
+  const lead = options.objective === "hit" ? { ...options, objective: "tension" } : options;
+  const arcFor = (fireAt, arc, first) => {
+    const sol = interceptArc(specs, lead, fireAt, arc, first);
+    return sol && lead !== options ? interceptArc(specs, options, fireAt, arc, sol) : sol;
+  };
+  let firstReason = null;
+  for (let wait = 0; wait <= FIRE_WINDOW; wait += FIRE_STEP) {
+    const fireAt = Math.ceil((fireAfter + wait) / dt - 1e-9) * dt;
+    // Seed the lead iteration with a solution for where the target is at the moment of firing
+    const now = solveStatic(frozenAt(specs, fireAt), lead);
+    firstReason = firstReason || now.reason;
+    if (!now.feasible) continue;
+    const low = arcFor(fireAt, "LOW", now.low);
+    const high = arcFor(fireAt, "HIGH", now.high);
+    if (low || high) return { ...now, objective: options.objective || "tension", low, high };
+  }
+  return { feasible: false, objective: options.objective || "tension", low: null, high: null, reason: `No intercept within ${FIRE_WINDOW} s: ${firstReason || "the target moves out of every arc"}` };
+};
+
+/**
+ * Solves for the engine's power and aim and the azimuth to land on the target in `specs`.
+ *
+ * @param {object} specs  siege engine + target specs (see DEFAULT_SPECS); `specs.engine` picks the controls
+ * @param {object} [options]
+ * @param {"tension"|"time"|"hit"} [options.objective="tension"]  picks the power; the flat and lofted arcs are
+ *   then the two aim settings that land on the target at that power.
+ *   "tension" uses the least power that reaches the target, where the two arcs (nearly) coincide
+ *   and distinctArcs tells the caller to offer them as one shot.
+ *   "time" uses the power for the flattest shot the aim and power limits allow, which is the
+ *   fastest flight; its lofted twin is the slowest.
+ *   "hit" picks the power for each arc separately: the one whose dispersion (see dispersion.js) lands
+ *   inside the target radius most often. Those solutions also carry `hitProbability`.
+ *   An arc that would hit an obstacle or a ridge moves its tension away from that choice until it clears.
+ * @param {object} [options.world=FLAT_WORLD]  terrain and obstacles (see terrain.js); the target sits on the terrain
+ * @param {object} [options.structure=null]  what stands at the target (see structures.js); a shot striking it lands on its face
+ * @param {object} [options.variation=DEFAULT_VARIATION]  "hit" only: the shot-to-shot variation to assess against
+ * @param {number} [options.fireAfter=0]  moving targets only: earliest scenario time the shot may be fired
+ * @returns {{ feasible: boolean, objective: string, low: object|null, high: object|null, reason: string|null }}
+ *   `low` / `high` are the flat-fire and lofted solutions ({ arc, power, aim, azimuth, flightTime, impact, error }),
+ *   `power` and `aim` being values for the engine's power and aim spec keys.
+ *   For a moving target each also carries the intercept: `fireAt` and `impactAt` on the scenario clock and
+ *   `intercept`, where the target will be at impact.
+ */
+export const solve = (specs, options = {}) => (isMoving(specs) ? solveIntercept(specs, options) : solveStatic(specs, options));
+
+// Whether a solve offers two different shots: both arcs, at least ARC_SPLIT apart in aim. Near the least
+// power that reaches the target the flat and lofted arcs meet either side of the max-range aim.
+export const distinctArcs = (result) => Boolean(result.low && result.high && result.high.aim - result.low.aim >= ARC_SPLIT);
@@ -0,0 +1,105 @@
+import { describe, it, expect } from "vitest";
+import { solve, distinctArcs } from "./solver.js";
+import { simulate, impactError, DEFAULT_SPECS } from "./ballistics.js";
+import { createObstacle, FLAT_WORLD } from "./terrain.js";
+import { createStructure, withStructure } from "./structures.js";
+import { engineFor, withEngine } from "./engines/index.js";
+
+const specs = { ...DEFAULT_SPECS, wind: 6, windHeading: 60 };
+
+// A solution's shot, flown with the controls it sets.
+const fly = (p, sol, world) => {
+  const { power, aim } = engineFor(p);
+  return simulate({ ...p, [power.key]: sol.power, [aim.key]: sol.aim, azimuth: sol.azimuth }, { world });
+};
+
+describe("solve", () => {
+  it("lands both arcs on the target within the limits", () => {
+    const result = solve(specs), { power, aim } = engineFor(specs);
+    expect(result.feasible).toBe(true);
+    for (const sol of [result.low, result.high]) {
+      expect(sol.power).toBeLessThanOrEqual(power.max);
+      expect(sol.aim).toBeGreaterThanOrEqual(aim.min);
+      expect(sol.aim).toBeLessThanOrEqual(aim.max);
+      expect(sol.error.miss).toBeLessThan(1);
+      expect(impactError(fly(specs, sol).impact, specs)).toEqual(sol.error);
+    }
+    expect(result.low.aim).toBeLessThanOrEqual(result.high.aim);
+  });
+
+  it("solves each engine through its own power and aim controls", () => {
+    for (const [key, aimKey] of [["trebuchet", "releasePin"], ["ballista", "angle"]]) {
+      const p = withEngine(specs, key), { aim } = engineFor(p);
+      const { feasible, low, high } = solve(p);
+      expect(aim.key).toBe(aimKey);
+      expect(feasible).toBe(true);
+      for (const sol of [low, high]) {
+        expect(sol.aim).toBeGreaterThanOrEqual(aim.min);
+        expect(sol.aim).toBeLessThanOrEqual(aim.max);
+        expect(sol.error.miss).toBeLessThan(1);
+        expect(impactError(fly(p, sol).impact, p)).toEqual(sol.error);
+      }
+    }
+  });
+
+  it("needs more draw force from a ballista with a shorter draw", () => {
+    const p = withEngine(specs, "ballista");
+    const long = solve(p).low, short = solve({ ...p, drawLength: p.drawLength / 2 }).low;
+    expect(short.power).toBeGreaterThan(long.power);
+    expect(short.error.miss).toBeLessThan(1);
+  });
+
+  it("traverses into a crosswind", () => {
+    expect(solve(specs).low.azimuth).toBeLessThan(0);
+    expect(solve({ ...specs, windHeading: -60 }).low.azimuth).toBeGreaterThan(0);
+  });
+
+  it("flies fastest on the flat arc when solving for time", () => {
+    const least = solve(specs), fastest = solve(specs, { objective: "time" });
+    expect(fastest.low.flightTime).toBeLessThan(least.low.flightTime);
+    expect(fastest.high.flightTime).toBeGreaterThan(fastest.low.flightTime);
+    expect(fastest.low.error.miss).toBeLessThan(1);
+  });
+
+  it("offers the arcs as one shot where they meet at the least power", () => {
+    expect(distinctArcs(solve(specs))).toBe(false);
+    expect(distinctArcs(solve(specs, { objective: "time" }))).toBe(true);
+    expect(distinctArcs(solve(withEngine(specs, "ballista"), { objective: "time" }))).toBe(false);
+  });
+
+  it("explains a target out of reach", () => {
+    const result = solve({ ...specs, targetDist: 5000 });
+    expect(result.feasible).toBe(false);
+    expect(result.reason).toMatch(/^Out of reach/);
+  });
+
+  it("keeps clear of obstacles in the line of fire", () => {
+    const world = { terrain: null, obstacles: [createObstacle("wall", 120, 0, { width: 40, depth: 2, height: 12, rotation: 90 })] };
+    const result = solve(specs, { world });
+    expect(result.feasible).toBe(true);
+    for (const sol of [result.low, result.high].filter(Boolean)) {
+      expect(sol.blocked).toBeNull();
+      expect(fly(specs, sol, world).struck).toBeNull();
+    }
+  });
+
+  it("predicts a shot that meets the target's structure on its face", () => {
+    const structure = createStructure("tower"), world = withStructure(FLAT_WORLD, structure, specs);
+    const { feasible, low, high } = solve(specs, { structure });
+    expect(feasible).toBe(true);
+    for (const sol of [low, high]) {
+      const real = fly(specs, sol, world);
+      expect(sol.blocked).toBeNull();
+      expect(sol.impact).toEqual(real.impact);
+    }
+    expect(fly(specs, low, world).struck?.kind).toBe("target");
+  });
+
+  it("leads a moving target", () => {
+    const moving = { ...specs, wind: 0, targetMotion: "linear", targetSpeed: 4, targetHeading: 90, targetSpan: 60 };
+    const { feasible, low } = solve(moving);
+    expect(feasible).toBe(true);
+    expect(low.intercept.z).toBeGreaterThan(0);
+    expect(low.error.miss).toBeLessThan(1);
+  });
+});
@@ -0,0 +1,15 @@
+// Runs the firing solver and dispersion analyses off the main thread. Requests carry an `id`
+// that is echoed back so the UI can drop answers to requests it has since superseded.
+import { solve } from "./solver.js";
+import { disperse } from "./dispersion.js";
+
+const TASKS = { solve, disperse };
+
+self.onmessage = ({ data }) => {
+  const { id, task = "solve", specs, options } = data;
+  try {
+    self.postMessage({ id, result: TASKS[task](specs, options) });
+  } catch (e) {
+    self.postMessage({ id, error: e.message });
+  }
+};
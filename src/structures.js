@@ -0,0 +1,172 @@
+// --- Target Structures ---
+// Targets built from blocks that have health. Blocks are boxes in the target's own frame:
+// x runs along the line of fire (away from the catapult), z across it and y up from the ground
+// under the target, so a structure travels and turns with its target. A shot's kinetic energy
+// is dealt to the block it strikes, and a share of it to every block near the impact, so a near
+// miss still does partial damage. A block left with nothing under it collapses.
+import { targetPosition, GRAVITY } from "./ballistics.js";
+import { groundHeight } from "./terrain.js";
+import { DEG } from "./engines/common.js";
+
+const BLAST_RADIUS = 6;       // m, reach of the blast and flying fragments around an impact
+const BLAST_SHARE = 0.5;      // share of the energy that reaches the blocks around the impact
+const DESTROYED_BELOW = 0.4;  // structure counts as destroyed with less than this share of its health left
+const DEBRIS_LIFE = 4;        // s a fragment lies on the ground before it is cleared
+const DEBRIS_BOUNCE = 0.3;    // share of a fragment's falling speed returned by the ground
+
+// Health per cubic metre of block, in J of impact energy.
+export const MATERIALS = {
+  stone: { name: "Stone", strength: 1200 },
+  timber: { name: "Timber", strength: 600 },
+  oak: { name: "Iron-bound oak", strength: 4000 },
+  canvas: { name: "Canvas", strength: 40 }
+};
+
+const block = (x, y, z, width, height, depth, material) => ({ x, y, z, width, height, depth, material });
+
+// A grid of equal blocks: `across` along z, `levels` high, centred on the target.
+const courses = (across, levels, width, height, depth, material, x = 0) =>
+  Array.from({ length: across * levels }, (_, i) => block(x, Math.floor(i / across) * height, ((i % across) - (across - 1) / 2) * depth, width, height, depth, material));
+
+export const STRUCTURES = {
+  marker: { name: "Marker", blocks: [] },
+  tent: { name: "Tent", blocks: [block(0, 0, 0, 4, 2.2, 5, "canvas"), block(0, 2.2, 0, 0.3, 0.3, 5, "timber")] },
+  wall: { name: "Wall", blocks: courses(5, 3, 1.2, 1.5, 2.4, "stone") },
+  tower: {
+    name: "Tower",
+    blocks: [
+      ...[0, 1, 2, 3].flatMap(level => [[-0.75, -0.75], [-0.75, 0.75], [0.75, -0.75], [0.75, 0.75]].map(([x, z]) => block(x, level * 2, z, 1.5, 2, 1.5, "stone"))),
+      block(0, 8, 0, 3.2, 0.6, 3.2, "timber")
+    ]
+  },
+  // A siege engine's frame: rails and cross beams, uprights carrying the axle, the arm and a stone counterweight
+  catapult: {
+    name: "Catapult",
+    blocks: [
+      block(0, 0, -1.6, 6, 0.8, 0.8, "oak"), block(0, 0, 1.6, 6, 0.8, 0.8, "oak"),
+      block(-2.6, 0, 0, 0.8, 0.8, 2.4, "oak"), block(2.6, 0, 0, 0.8, 0.8, 2.4, "oak"),
+      block(0, 0.8, -1.6, 0.8, 3, 0.8, "oak"), block(0, 0.8, 1.6, 0.8, 3, 0.8, "oak"),
+      block(0, 3.8, 0, 0.6, 0.6, 4, "oak"), block(0.5, 4.4, 0, 5, 0.5, 0.6, "oak"),
+      block(2.6, 0.8, 0, 1.2, 1.2, 1.2, "stone")
+    ]
+  }
+};
+
+/** A fresh structure of `kind` (see STRUCTURES), every block at full health. */
+export const createStructure = (kind) => ({
+  kind,
+  blocks: (STRUCTURES[kind] || STRUCTURES.marker).blocks.map((b, id) => {
+    const health = b.width * b.height * b.depth * MATERIALS[b.material].strength;
+    return { ...b, id, health, maxHealth: health };
+  })
+});
+
+export const integrity = (structure) => {
+  const total = structure.blocks.reduce((sum, b) => sum + b.maxHealth, 0);
+  return total ? structure.blocks.reduce((sum, b) => sum + b.health, 0) / total : 1;
+};
+
+export const isDestroyed = (structure) => structure.blocks.length > 0 && integrity(structure) < DESTROYED_BELOW;
+
+export const formatEnergy = (joules) => joules >= 1000 ? `${(joules / 1000).toFixed(1)}kJ` : `${Math.round(joules)}J`;
+
+// Where the target frame sits at scenario time `t`: its ground point and the line-of-fire heading (deg).
+export const structureFrame = (p, t, world) => {
+  const c = targetPosition(p, t);
+  return { x: c.x, y: groundHeight(world, c.x, c.z), z: c.z, heading: Math.atan2(c.z, c.x) / DEG };
+};
+
+const toLocal = (frame, q) => {
+  const a = frame.heading * DEG, dx = q.x - frame.x, dz = q.z - frame.z;
+  return { x: dx * Math.cos(a) + dz * Math.sin(a), y: q.y - frame.y, z: -dx * Math.sin(a) + dz * Math.cos(a) };
+};
+
+/**
+ * The standing blocks as obstacle boxes in the world (see terrain.js), with kind "target" and
+ * their block `id`, so a shot collides with them like any obstacle.
+ */
+export const placeStructure = (structure, frame) => {
+  const a = frame.heading * DEG, c = Math.cos(a), s = Math.sin(a);
+  return structure.blocks.filter(b => b.health > 0).map(b => ({
+    kind: "target", block: b.id,
+    x: frame.x + b.x * c - b.z * s, z: frame.z + b.x * s + b.z * c, base: frame.y + b.y,
+    width: b.width, depth: b.depth, height: b.height, rotation: frame.heading
+  }));
+};
+
+// `world` with the structure standing at its target at scenario time `t`, for shots to collide with.
+export const withStructure = (world, structure, p, t = 0) =>
+  structure?.blocks.length ? { ...world, obstacles: [...world.obstacles, ...placeStructure(structure, structureFrame(p, t, world))] } : world;
+
+// Distance from a point in the target frame to a block's box.
+const blockDistance = (b, q) => Math.hypot(
+  Math.max(0, Math.abs(q.x - b.x) - b.width / 2),
+  Math.max(0, b.y - q.y, q.y - b.y - b.height),
+  Math.max(0, Math.abs(q.z - b.z) - b.depth / 2)
+);
+
+// A block rests on the ground or on a standing block whose top meets its base under its footprint.
+const supported = (b, blocks) => b.y < 0.01 || blocks.some(u => u !== b && u.health > 0 && Math.abs(u.y + u.height - b.y) < 0.01 &&
+  Math.abs(u.x - b.x) < (u.width + b.width) / 2 && Math.abs(u.z - b.z) < (u.depth + b.depth) / 2);
+
+/**
+ * Deals an impact to a structure.
+ *
+ * @param {object} structure  from createStructure
+ * @param {{ x, y, z }} point  impact point in the world
+ * @param {number} energy  J, the projectile's kinetic energy at impact
+ * @param {object} frame  the target frame at impact (structureFrame)
+ * @param {number|null} [struck]  id of the block the shot struck, if any
+ * @returns {{ structure: object, dealt: number, destroyed: object[] }}  the damaged structure, the health it lost (J)
+ *   and the blocks brought down by the impact, including any that collapsed
+ */
+export const damageStructure = (structure, point, energy, frame, struck = null) => {
+  const q = toLocal(frame, point), before = new Map(structure.blocks.map(b => [b.id, b.health]));
+  // The blast share is spread over the blocks around the impact, closer ones taking more
+  const reach = structure.blocks.map(b => b.id === struck || b.health <= 0 ? 0 : Math.max(0, 1 - blockDistance(b, q) / BLAST_RADIUS) ** 2);
+  const spread = Math.max(1, reach.reduce((sum, w) => sum + w, 0));
+  const blocks = structure.blocks.map((b, i) => {
+    const share = b.id === struck ? 1 : BLAST_SHARE * reach[i] / spread;
+    return { ...b, health: Math.max(0, b.health - energy * share) };
+  });
+  // Collapse from the bottom up, so a fall carries on through everything stacked above
+  for (const b of [...blocks].sort((u, v) => u.y - v.y)) {
+    if (b.health > 0 && !supported(b, blocks)) b.health = 0;
+  }
+  return {
+    structure: { ...structure, blocks },
+    dealt: blocks.reduce((sum, b) => sum + before.get(b.id) - b.health, 0),
+    destroyed: blocks.filter(b => b.health <= 0 && before.get(b.id) > 0)
+  };
+};
+
+// --- Debris ---
+// Fragments thrown from an impact: { pos, vel, size, material, spin, turn, age }, `turn` being how far it has tumbled (rad). `material` is a
+// MATERIALS key, or "earth" for ground thrown up by a shot landing in the open.
+export const scatterDebris = (origin, count, speed, material, rng) => Array.from({ length: count }, () => {
+  const a = 2 * Math.PI * rng(), out = speed * (0.3 + 0.7 * rng());
+  return {
+    pos: { ...origin },
+    vel: { x: Math.cos(a) * out, y: speed * (0.4 + 0.8 * rng()), z: Math.sin(a) * out },
+    size: 0.2 + 0.5 * rng(),
+    material,
+    spin: (rng() - 0.5) * 20,
+    turn: 0,
+    age: 0
+  };
+});
+
+// Advances fragments under gravity, bouncing them off the ground until they settle. Returns the ones still lying about.
+export const stepDebris = (pieces, dt, world) => pieces.filter(d => {
+  d.age += dt;
+  d.turn += d.spin * dt;
+  d.vel.y -= GRAVITY * dt;
+  d.pos.x += d.vel.x * dt; d.pos.y += d.vel.y * dt; d.pos.z += d.vel.z * dt;
+  const ground = groundHeight(world, d.pos.x, d.pos.z) + d.size / 2;
+  if (d.pos.y < ground) {
+    d.pos.y = ground;
+    d.vel = { x: d.vel.x * 0.6, y: Math.max(0, -d.vel.y * DEBRIS_BOUNCE), z: d.vel.z * 0.6 };
+    d.spin *= 0.3;
+  }
+  return d.age < DEBRIS_LIFE;
+});
@@ -0,0 +1,70 @@
+import { describe, it, expect } from "vitest";
+import { DEFAULT_SPECS } from "./ballistics.js";
+import { FLAT_WORLD } from "./terrain.js";
+import { createStructure, integrity, isDestroyed, damageStructure, structureFrame, placeStructure, withStructure, scatterDebris, stepDebris } from "./structures.js";
+import { createRng } from "./random.js";
+
+const frame = structureFrame(DEFAULT_SPECS, 0, FLAT_WORLD);
+const health = (s) => s.blocks.reduce((sum, b) => sum + b.health, 0);
+
+describe("structures", () => {
+  it("builds at full health", () => {
+    const tower = createStructure("tower");
+    expect(tower.blocks).toHaveLength(17);
+    expect(integrity(tower)).toBe(1);
+    expect(isDestroyed(tower)).toBe(false);
+    expect(isDestroyed(createStructure("marker"))).toBe(false);
+  });
+
+  it("deals the struck block the full energy without touching the original", () => {
+    const wall = createStructure("wall"), struck = wall.blocks[7];
+    const hit = damageStructure(wall, { x: 150, y: 2, z: 0 }, 1000, frame, struck.id);
+    expect(hit.structure.blocks[7].health).toBe(struck.maxHealth - 1000);
+    expect(integrity(wall)).toBe(1);
+    expect(hit.dealt).toBeCloseTo(health(wall) - health(hit.structure));
+  });
+
+  it("spreads at most half the energy over the blocks nearby", () => {
+    const wall = createStructure("wall");
+    const near = damageStructure(wall, { x: 148, y: 0, z: 0 }, 1000, frame);
+    expect(near.dealt).toBeGreaterThan(0);
+    expect(near.dealt).toBeLessThanOrEqual(500 + 1e-9);
+    expect(damageStructure(wall, { x: 120, y: 0, z: 0 }, 1000, frame).dealt).toBe(0);
+  });
+
+  it("brings down everything above a destroyed block", () => {
+    const tower = createStructure("tower"), base = tower.blocks[0];
+    const hit = damageStructure(tower, { x: 150 + base.x, y: 1, z: base.z }, base.maxHealth * 2, frame, base.id);
+    const column = tower.blocks.filter(b => b.x === base.x && b.z === base.z).map(b => b.id);
+    column.forEach(id => expect(hit.structure.blocks[id].health).toBe(0));
+    expect(hit.destroyed.map(b => b.id)).toEqual(expect.arrayContaining(column));
+    // The roof still rests on the three columns left standing
+    expect(hit.structure.blocks[16].health).toBeGreaterThan(0);
+  });
+
+  it("counts as destroyed below 40% of its health", () => {
+    const tent = createStructure("tent");
+    const hit = damageStructure(tent, { x: 150, y: 1, z: 0 }, tent.blocks[0].maxHealth, frame, 0);
+    expect(integrity(hit.structure)).toBe(0);
+    expect(isDestroyed(hit.structure)).toBe(true);
+  });
+
+  it("places the standing blocks as target obstacles", () => {
+    const tower = createStructure("tower");
+    const placed = placeStructure(tower, frame);
+    expect(placed).toHaveLength(17);
+    expect(placed.every(o => o.kind === "target")).toBe(true);
+    expect(placed[16]).toMatchObject({ x: 150, z: 0, base: 8 });
+    const world = withStructure(FLAT_WORLD, tower, DEFAULT_SPECS);
+    expect(world.obstacles).toHaveLength(17);
+    expect(withStructure(FLAT_WORLD, createStructure("marker"), DEFAULT_SPECS)).toBe(FLAT_WORLD);
+  });
+
+  it("lets debris settle and clears it", () => {
+    let pieces = scatterDebris({ x: 150, y: 1, z: 0 }, 8, 10, "stone", createRng(3));
+    for (let i = 0; i < 100; i++) pieces = stepDebris(pieces, 0.016, FLAT_WORLD);
+    pieces.forEach(d => expect(d.pos.y).toBeGreaterThanOrEqual(d.size / 2 - 1e-9));
+    for (let i = 0; i < 200; i++) pieces = stepDebris(pieces, 0.016, FLAT_WORLD);
+    expect(pieces).toHaveLength(0);
+  });
+});
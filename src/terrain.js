@@ -0,0 +1,190 @@
+// --- Terrain & Obstacles ---
+// Headless description of the battlefield the ballistics engine collides with:
+// a square heightmap (procedural from a seed, or loaded from an image) and box
+// obstacles standing on it. A `world` is { terrain, obstacles }; a null terrain
+// is the flat plain at y = 0.
+import { createRng } from "./random.js";
+import { DEG } from "./engines/common.js";
+
+export const TERRAIN_SIZE = 1200;                 // m, side of the heightmap
+export const TERRAIN_CENTER = { x: 300, z: 0 };   // m, the map sits mostly downrange of the catapult
+export const TERRAIN_RESOLUTION = 121;            // samples per side, 10 m apart
+const PAD_RADIUS = 25;                            // m, ground levelled flat around the catapult
+const EDGE_FADE = 100;                            // m, heights ease to 0 at the map edge to meet the plain
+
+const CELL = TERRAIN_SIZE / (TERRAIN_RESOLUTION - 1);
+
+export const FLAT_WORLD = { terrain: null, obstacles: [] };
+
+const smoothstep = (e0, e1, x) => {
+  const t = Math.min(1, Math.max(0, (x - e0) / (e1 - e0)));
+  return t * t * (3 - 2 * t);
+};
+
+// World position of sample (i, j): i runs along x, j along z.
+const samplePosition = (i, j) => ({
+  x: TERRAIN_CENTER.x - TERRAIN_SIZE / 2 + i * CELL,
+  z: TERRAIN_CENTER.z - TERRAIN_SIZE / 2 + j * CELL
+});
+
+// Terrain height (m) at (x, z), bilinear between samples. Off the map is the plain.
+export const heightAt = (terrain, x, z) => {
+  const n = TERRAIN_RESOLUTION - 1;
+  const u = (x - TERRAIN_CENTER.x + TERRAIN_SIZE / 2) / CELL, v = (z - TERRAIN_CENTER.z + TERRAIN_SIZE / 2) / CELL;
+  if (u < 0 || v < 0 || u > n || v > n) return 0;
+  const i = Math.min(n - 1, Math.floor(u)), j = Math.min(n - 1, Math.floor(v)), fu = u - i, fv = v - j;
+  const h = terrain.heights, row = j * TERRAIN_RESOLUTION, next = row + TERRAIN_RESOLUTION;
+  const top = h[row + i] + (h[row + i + 1] - h[row + i]) * fu;
+  const bottom = h[next + i] + (h[next + i + 1] - h[next + i]) * fu;
+  return top + (bottom - top) * fv;
+};
+
+// Ground height under (x, z): the terrain, or the world's flat `floor` (0 by default).
+export const groundHeight = (world, x, z) => (world.terrain ? heightAt(world.terrain, x, z) : world.floor || 0);
+
+// Shifts raw samples so the catapult's pad is at y = 0, levels the pad and fades out the map edge.
+const finishHeights = (raw, relief) => {
+  const pad = (c) => Math.round((TERRAIN_SIZE / 2 - c) / CELL);
+  const origin = raw[pad(TERRAIN_CENTER.z) * TERRAIN_RESOLUTION + pad(TERRAIN_CENTER.x)];
+  const heights = new Float32Array(raw.length);
+  for (let j = 0; j < TERRAIN_RESOLUTION; j++) {
+    for (let i = 0; i < TERRAIN_RESOLUTION; i++) {
+      const { x, z } = samplePosition(i, j);
+      const edge = Math.min(i, j, TERRAIN_RESOLUTION - 1 - i, TERRAIN_RESOLUTION - 1 - j) * CELL;
+      const keep = smoothstep(PAD_RADIUS, PAD_RADIUS * 2, Math.hypot(x, z)) * smoothstep(0, EDGE_FADE, edge);
+      heights[j * TERRAIN_RESOLUTION + i] = (raw[j * TERRAIN_RESOLUTION + i] - origin) * relief * keep;
+    }
+  }
+  return heights;
+};
+
+// One octave of value noise: random values on a coarse lattice, smoothly interpolated.
+const noiseLayer = (rng, cells) => {
+  const lattice = Array.from({ length: (cells + 1) ** 2 }, rng);
+  const at = (a, b) => lattice[b * (cells + 1) + a];
+  return (u, v) => {
+    const x = u * cells, y = v * cells;
+    const a = Math.min(cells - 1, Math.floor(x)), b = Math.min(cells - 1, Math.floor(y));
+    const fx = smoothstep(0, 1, x - a), fy = smoothstep(0, 1, y - b);
+    const top = at(a, b) + (at(a + 1, b) - at(a, b)) * fx;
+    const bottom = at(a, b + 1) + (at(a + 1, b + 1) - at(a, b + 1)) * fx;
+    return top + (bottom - top) * fy;
+  };
+};
+
+/**
+ * Procedural rolling hills from a seed.
+ *
+ * @param {number} seed
+ * @param {number} relief  m, peak-to-trough scale of the hills
+ * @returns {{ source: string, seed: number, relief: number, heights: Float32Array }}
+ */
+export const createTerrain = (seed, relief) => {
+  const rng = createRng(seed);
+  const octaves = [[3, 1], [6, 0.5], [12, 0.25], [24, 0.125]].map(([cells, amp]) => ({ noise: noiseLayer(rng, cells), amp }));
+  const total = octaves.reduce((s, o) => s + o.amp, 0);
+  const raw = new Float32Array(TERRAIN_RESOLUTION ** 2);
+  for (let j = 0; j < TERRAIN_RESOLUTION; j++) {
+    for (let i = 0; i < TERRAIN_RESOLUTION; i++) {
+      const u = i / (TERRAIN_RESOLUTION - 1), v = j / (TERRAIN_RESOLUTION - 1);
+      raw[j * TERRAIN_RESOLUTION + i] = octaves.reduce((s, o) => s + o.noise(u, v) * o.amp, 0) / total;
+    }
+  }
+  // Stretch to the full 0..1 span so `relief` is the real peak-to-trough height
+  let lo = Infinity, hi = -Infinity;
+  raw.forEach(h => { lo = Math.min(lo, h); hi = Math.max(hi, h); });
+  raw.forEach((h, k) => { raw[k] = (h - lo) / (hi - lo || 1); });
+  return { source: "procedural", seed, relief, heights: finishHeights(raw, relief) };
+};
+
+/**
+ * Terrain from a greyscale heightmap image: black is low, white is `relief` m higher.
+ * Image x runs downrange (+x), image y runs towards +z.
+ *
+ * @param {{ width: number, height: number, data: Uint8ClampedArray }} image  RGBA pixels, e.g. canvas ImageData
+ * @param {number} relief  m
+ * @param {string} [name]
+ */
+export const terrainFromImage = (image, relief, name = "heightmap") => {
+  const raw = new Float32Array(TERRAIN_RESOLUTION ** 2);
+  for (let j = 0; j < TERRAIN_RESOLUTION; j++) {
+    for (let i = 0; i < TERRAIN_RESOLUTION; i++) {
+      const px = Math.round((i / (TERRAIN_RESOLUTION - 1)) * (image.width - 1));
+      const py = Math.round((j / (TERRAIN_RESOLUTION - 1)) * (image.height - 1));
+      const k = (py * image.width + px) * 4;
+      raw[j * TERRAIN_RESOLUTION + i] = (0.299 * image.data[k] + 0.587 * image.data[k + 1] + 0.114 * image.data[k + 2]) / 255;
+    }
+  }
+  return { source: name, seed: null, relief, heights: finishHeights(raw, relief) };
+};
+
+// --- Obstacles ---
+// Boxes standing on the terrain: { kind, x, z, base, width, depth, height, rotation }.
+// `width` runs along the box's own x axis, which points along `rotation` (deg, from +x towards +z).
+// `base` is the lowest ground under the footprint, so nothing floats on a slope.
+export const createObstacle = (kind, x, z, { width, depth, height, rotation = 0 }, terrain = null) => {
+  const r = rotation * DEG, c = Math.cos(r), s = Math.sin(r);
+  const corners = [[-1, -1], [1, -1], [1, 1], [-1, 1]].map(([a, b]) =>
+    terrain ? heightAt(terrain, x + (a * width * c - b * depth * s) / 2, z + (a * width * s + b * depth * c) / 2) : 0);
+  return { kind, x, z, base: Math.min(...corners), width, depth, height, rotation };
+};
+
+/**
+ * Seeded defences around a target: a wall across the line of fire and sometimes a watchtower beside the target.
+ *
+ * @param {object} specs  target specs (targetDist, targetBearing, targetRadius)
+ * @param {object|null} terrain
+ * @param {number} seed
+ */
+export const placeObstacles = (specs, terrain, seed) => {
+  const rng = createRng(seed + Math.round(specs.targetDist) * 7919 + Math.round(specs.targetBearing) * 104729);
+  const b = specs.targetBearing * DEG;
+  const along = (d, side = 0) => ({ x: Math.cos(b) * d - Math.sin(b) * side, z: Math.sin(b) * d + Math.cos(b) * side });
+
+  const wallAt = along(specs.targetDist * (0.8 + rng() * 0.12), (rng() - 0.5) * 20);
+  const obstacles = [createObstacle("wall", wallAt.x, wallAt.z, {
+    width: 24 + rng() * 20, depth: 2, height: 8 + rng() * 8, rotation: specs.targetBearing + 90
+  }, terrain)];
+
+  if (rng() < 0.5) {
+    const side = (rng() < 0.5 ? -1 : 1) * (specs.targetRadius + 8 + rng() * 8);
+    const towerAt = along(specs.targetDist - 6 - rng() * 8, side);
+    obstacles.push(createObstacle("tower", towerAt.x, towerAt.z, {
+      width: 6, depth: 6, height: 14 + rng() * 8, rotation: specs.targetBearing
+    }, terrain));
+  }
+  return obstacles;
+};
+
+// Fraction (0..1) along the segment a -> b where it first enters the obstacle's box, or null.
+const segmentEntry = (o, a, b) => {
+  const r = o.rotation * DEG, c = Math.cos(r), s = Math.sin(r);
+  const local = (p) => {
+    const dx = p.x - o.x, dz = p.z - o.z;
+    return [dx * c + dz * s, p.y - o.base, -dx * s + dz * c];
+  };
+  const la = local(a), lb = local(b), bounds = [[-o.width / 2, o.width / 2], [0, o.height], [-o.depth / 2, o.depth / 2]];
+  let t0 = 0, t1 = 1;
+  for (let k = 0; k < 3; k++) {
+    const [lo, hi] = bounds[k], d = lb[k] - la[k];
+    if (Math.abs(d) < 1e-12) {
+      if (la[k] < lo || la[k] > hi) return null;
+      continue;
+    }
+    const ta = (lo - la[k]) / d, tb = (hi - la[k]) / d;
+    t0 = Math.max(t0, Math.min(ta, tb));
+    t1 = Math.min(t1, Math.max(ta, tb));
+    if (t0 > t1) return null;
+  }
+  return t0;
+};
+
+// First obstacle the segment a -> b runs into, as { obstacle, f } with f the fraction along the segment.
+export const obstacleHit = (obstacles, a, b) => {
+  let hit = null;
+  for (const obstacle of obstacles) {
+    const f = segmentEntry(obstacle, a, b);
+    if (f !== null && (!hit || f < hit.f)) hit = { obstacle, f };
+  }
+  return hit;
+};
@@ -0,0 +1,72 @@
+import { describe, it, expect } from "vitest";
+import { heightAt, groundHeight, createTerrain, createObstacle, obstacleHit, FLAT_WORLD, TERRAIN_SIZE, TERRAIN_CENTER, TERRAIN_RESOLUTION } from "./terrain.js";
+
+const CELL = TERRAIN_SIZE / (TERRAIN_RESOLUTION - 1);
+const x0 = TERRAIN_CENTER.x - TERRAIN_SIZE / 2, z0 = TERRAIN_CENTER.z - TERRAIN_SIZE / 2;
+
+// A terrain whose sample (i, j) is at height f(i, j).
+const terrainOf = (f) => ({
+  heights: Float32Array.from({ length: TERRAIN_RESOLUTION ** 2 }, (_, k) => f(k % TERRAIN_RESOLUTION, Math.floor(k / TERRAIN_RESOLUTION)))
+});
+
+describe("heightAt", () => {
+  it("returns the samples on the grid and blends them between", () => {
+    const bump = terrainOf((i, j) => (i === 60 && j === 60 ? 8 : 0));
+    const x = x0 + 60 * CELL, z = z0 + 60 * CELL;
+    expect(heightAt(bump, x, z)).toBe(8);
+    expect(heightAt(bump, x + CELL / 2, z)).toBe(4);
+    expect(heightAt(bump, x + CELL / 2, z - CELL / 2)).toBe(2);
+    expect(heightAt(bump, x + CELL / 4, z + CELL * 3 / 4)).toBeCloseTo(8 * 0.75 * 0.25);
+    expect(heightAt(bump, x + CELL, z)).toBe(0);
+  });
+
+  it("follows a sloping plane exactly", () => {
+    const ramp = terrainOf((i, j) => i + 2 * j);
+    expect(heightAt(ramp, 123.4, -56.7)).toBeCloseTo((123.4 - x0) / CELL + 2 * (-56.7 - z0) / CELL, 4);
+    expect(heightAt(ramp, x0 + TERRAIN_SIZE, z0 + TERRAIN_SIZE)).toBe(3 * (TERRAIN_RESOLUTION - 1));
+  });
+
+  it("is the plain off the map", () => {
+    const ramp = terrainOf((i, j) => i + j + 1);
+    expect(heightAt(ramp, x0 - 0.01, 0)).toBe(0);
+    expect(heightAt(ramp, 0, z0 + TERRAIN_SIZE + 0.01)).toBe(0);
+    expect(groundHeight(FLAT_WORLD, 5000, 0)).toBe(0);
+    expect(groundHeight({ ...FLAT_WORLD, floor: 3 }, 10, 10)).toBe(3);
+  });
+
+  it("keeps the catapult's pad level with a procedural map", () => {
+    const terrain = createTerrain(7, 30);
+    expect(terrain).toEqual(createTerrain(7, 30));
+    expect(heightAt(terrain, 0, 0)).toBe(0);
+    expect(heightAt(terrain, 10, -10)).toBe(0);
+  });
+});
+
+describe("obstacles", () => {
+  const a = { x: 0, y: 1, z: 6 }, b = { x: 200, y: 1, z: 6 };
+
+  it("stands an obstacle on the lowest ground under its footprint", () => {
+    const ramp = terrainOf((i) => i);
+    const wall = createObstacle("wall", 100, 0, { width: 20, depth: 2, height: 5 }, ramp);
+    expect(wall.base).toBeCloseTo(heightAt(ramp, 90, 0), 4);
+  });
+
+  it("turns the obstacle's box with its rotation", () => {
+    const square = createObstacle("wall", 100, 0, { width: 20, depth: 2, height: 5 });
+    expect(obstacleHit([square], a, b)).toBeNull();
+
+    // Turned 45°, the wall's face crosses z = 6 where dx = dz - √2.
+    const turned = createObstacle("wall", 100, 0, { width: 20, depth: 2, height: 5, rotation: 45 });
+    const hit = obstacleHit([turned], a, b);
+    expect(hit.obstacle).toBe(turned);
+    expect(a.x + (b.x - a.x) * hit.f).toBeCloseTo(100 + 6 - Math.SQRT2, 6);
+    expect(obstacleHit([turned], { ...a, y: 6 }, { ...b, y: 6 })).toBeNull();
+  });
+
+  it("reports the first obstacle along the segment", () => {
+    const near = createObstacle("wall", 60, 6, { width: 2, depth: 2, height: 5, rotation: 30 });
+    const far = createObstacle("tower", 120, 6, { width: 6, depth: 6, height: 20 });
+    expect(obstacleHit([far, near], a, b).obstacle).toBe(near);
+    expect(obstacleHit([far, near], b, a).obstacle).toBe(far);
+  });
+});
@@ -0,0 +1,45 @@
+// --- Recorded Trajectories ---
+// Fired shots are stored as compact [t, x, y, z] samples (one per physics step)
+// so they can be replayed, scrubbed and overlaid after the fact.
+
+export const OVERLAY_COLORS = [0xf472b6, 0xa3e635, 0xfb923c, 0x818cf8, 0x2dd4bf, 0xfacc15];
+
+export const overlayColor = (i) => OVERLAY_COLORS[i % OVERLAY_COLORS.length];
+
+export const cssColor = (hex) => `#${hex.toString(16).padStart(6, "0")}`;
+
+const round = (n, d) => Math.round(n * 10 ** d) / 10 ** d;
+
+export const packPoint = (t, pos) => [round(t, 3), round(pos.x, 2), round(pos.y, 2), round(pos.z, 2)];
+
+export const duration = (points) => (points.length ? points[points.length - 1][0] : 0);
+
+// Index of the last sample at or before `t`.
+const indexAt = (points, t) => {
+  let lo = 0, hi = points.length - 1;
+  while (lo < hi) {
+    const mid = (lo + hi + 1) >> 1;
+    if (points[mid][0] <= t) lo = mid; else hi = mid - 1;
+  }
+  return lo;
+};
+
+// Linearly interpolated position at time `t`.
+export const sampleAt = (points, t) => {
+  const i = indexAt(points, t), a = points[i], b = points[Math.min(i + 1, points.length - 1)];
+  const f = b[0] > a[0] ? Math.min(1, Math.max(0, (t - a[0]) / (b[0] - a[0]))) : 0;
+  return { x: a[1] + (b[1] - a[1]) * f, y: a[2] + (b[2] - a[2]) * f, z: a[3] + (b[3] - a[3]) * f };
+};
+
+// Path flown up to time `t`, ending exactly at the interpolated head.
+export const pathUntil = (points, t) => [
+  ...points.slice(0, indexAt(points, t) + 1).map(p => ({ x: p[1], y: p[2], z: p[3] })),
+  sampleAt(points, t)
+];
+
+// Time of the neighbouring recorded sample, for frame-by-frame stepping.
+export const stepTime = (points, t, direction) => {
+  const i = indexAt(points, t);
+  const next = direction > 0 ? Math.min(points.length - 1, i + 1) : Math.max(0, points[i][0] < t ? i : i - 1);
+  return points[next][0];
+};
@@ -0,0 +1,39 @@
+import { describe, it, expect } from "vitest";
+import { packPoint, duration, sampleAt, pathUntil, stepTime, overlayColor, cssColor, OVERLAY_COLORS } from "./trajectory.js";
+
+const points = [[0, 0, 0, 0], [0.5, 10, 4, 1], [1, 20, 6, 2], [1.5, 30, 0, 3]];
+
+describe("recorded trajectories", () => {
+  it("packs a sample compactly", () => {
+    expect(packPoint(0.12345, { x: 1.006, y: -2.344, z: 0.5 })).toEqual([0.123, 1.01, -2.34, 0.5]);
+    expect(duration(points)).toBe(1.5);
+    expect(duration([])).toBe(0);
+  });
+
+  it("interpolates between samples and holds at the ends", () => {
+    expect(sampleAt(points, 0.75)).toEqual({ x: 15, y: 5, z: 1.5 });
+    expect(sampleAt(points, 1)).toEqual({ x: 20, y: 6, z: 2 });
+    expect(sampleAt(points, -1)).toEqual({ x: 0, y: 0, z: 0 });
+    expect(sampleAt(points, 9)).toEqual({ x: 30, y: 0, z: 3 });
+    expect(sampleAt([[0, 1, 2, 3]], 0.5)).toEqual({ x: 1, y: 2, z: 3 });
+  });
+
+  it("draws the path up to the interpolated head", () => {
+    expect(pathUntil(points, 0.75)).toEqual([{ x: 0, y: 0, z: 0 }, { x: 10, y: 4, z: 1 }, { x: 15, y: 5, z: 1.5 }]);
+    expect(pathUntil(points, 0)).toEqual([{ x: 0, y: 0, z: 0 }, { x: 0, y: 0, z: 0 }]);
+  });
+
+  it("steps to the neighbouring sample", () => {
+    expect(stepTime(points, 0.5, 1)).toBe(1);
+    expect(stepTime(points, 0.5, -1)).toBe(0);
+    expect(stepTime(points, 0.75, 1)).toBe(1);
+    expect(stepTime(points, 0.75, -1)).toBe(0.5);
+    expect(stepTime(points, 1.5, 1)).toBe(1.5);
+    expect(stepTime(points, 0, -1)).toBe(0);
+  });
+
+  it("cycles the overlay colours", () => {
+    expect(overlayColor(OVERLAY_COLORS.length + 1)).toBe(OVERLAY_COLORS[1]);
+    expect(cssColor(0x00ff08)).toBe("#00ff08");
+  });
+});